@@ -0,0 +1,132 @@
+/**
+ * Archive of saved captures in userdata/saved
+ * - Every image gets a JSON sidecar describing the request
+ * - Retention limits (age, count, total size) are enforced by pruneArchive
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SAVED_DIR = path.join(process.cwd(), "userdata", "saved");
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".gif", ".webp"];
+
+/**
+ * Path of the archived copy of a capture
+ */
+function savedPathFor(captureFile) {
+    return path.join(SAVED_DIR, path.basename(captureFile));
+}
+
+/**
+ * Path of the JSON sidecar of an archived image
+ */
+function sidecarPathFor(imageFile) {
+    return imageFile.slice(0, -path.extname(imageFile).length) + ".json";
+}
+
+/**
+ * Copy a capture into the archive, returns the archived path
+ */
+function saveCapture(captureFile) {
+    if (!fs.existsSync(SAVED_DIR)) {
+        fs.mkdirSync(SAVED_DIR, { recursive: true });
+    }
+    const savedPath = savedPathFor(captureFile);
+    fs.copyFileSync(captureFile, savedPath);
+    return savedPath;
+}
+
+/**
+ * Write (or merge into) the sidecar of an archived capture
+ */
+function writeSidecar(captureFile, metadata) {
+    const savedPath = savedPathFor(captureFile);
+    if (!fs.existsSync(savedPath)) return;
+
+    const sidecarPath = sidecarPathFor(savedPath);
+    let existing = {};
+    if (fs.existsSync(sidecarPath)) {
+        try {
+            existing = JSON.parse(fs.readFileSync(sidecarPath, "utf8"));
+        } catch (err) {
+            // Overwrite broken sidecars
+        }
+    }
+    fs.writeFileSync(sidecarPath, JSON.stringify({ ...existing, ...metadata }, null, 4));
+}
+
+/**
+ * List archived images with their sidecar, oldest first
+ */
+function listArchive() {
+    if (!fs.existsSync(SAVED_DIR)) return [];
+
+    return fs.readdirSync(SAVED_DIR)
+        .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .map(file => {
+            const imagePath = path.join(SAVED_DIR, file);
+            const sidecarPath = sidecarPathFor(imagePath);
+            const stats = fs.statSync(imagePath);
+            const sidecarSize = fs.existsSync(sidecarPath) ? fs.statSync(sidecarPath).size : 0;
+            return {
+                imagePath,
+                sidecarPath,
+                mtime: stats.mtimeMs,
+                size: stats.size + sidecarSize
+            };
+        })
+        .sort((a, b) => a.mtime - b.mtime);
+}
+
+/**
+ * Delete archived images (and sidecars) exceeding the retention policy.
+ * policy: { max_age_days, max_count, max_total_mb } - null means unlimited.
+ * Returns the number of images removed.
+ */
+function pruneArchive(policy, now = Date.now()) {
+    const entries = listArchive();
+    const remove = new Set();
+
+    if (policy.max_age_days !== null && policy.max_age_days !== undefined) {
+        const cutoff = now - policy.max_age_days * 24 * 60 * 60 * 1000;
+        entries.filter(entry => entry.mtime < cutoff).forEach(entry => remove.add(entry));
+    }
+
+    let kept = entries.filter(entry => !remove.has(entry));
+
+    if (policy.max_count !== null && policy.max_count !== undefined && kept.length > policy.max_count) {
+        kept.slice(0, kept.length - policy.max_count).forEach(entry => remove.add(entry));
+        kept = kept.slice(kept.length - policy.max_count);
+    }
+
+    if (policy.max_total_mb !== null && policy.max_total_mb !== undefined) {
+        const limit = policy.max_total_mb * 1024 * 1024;
+        let total = kept.reduce((sum, entry) => sum + entry.size, 0);
+        for (let entry of kept) {
+            if (total <= limit) break;
+            remove.add(entry);
+            total -= entry.size;
+        }
+    }
+
+    for (let entry of remove) {
+        for (let file of [entry.imagePath, entry.sidecarPath]) {
+            try {
+                fs.unlinkSync(file);
+            } catch (e) {
+                // Ignore
+            }
+        }
+    }
+
+    return remove.size;
+}
+
+module.exports = {
+    SAVED_DIR,
+    savedPathFor,
+    saveCapture,
+    writeSidecar,
+    listArchive,
+    pruneArchive
+};
@@ -0,0 +1,57 @@
+/**
+ * Burst (multi-frame) capture helpers
+ * - Frames are spread evenly over the requested duration
+ * - Near-identical frames are dropped by perceptual hash, so a still scene costs one image
+ * - The prompt tells the model the frames are in order and when each was taken
+ */
+
+const { hammingDistance } = require("./perceptual_hash");
+
+/**
+ * Offsets in ms at which to take `frames` frames over `seconds`, first frame right away
+ */
+function frameSchedule(frames, seconds) {
+    if (frames <= 1) return [0];
+    const step = (seconds * 1000) / (frames - 1);
+    return Array.from({ length: frames }, (_, i) => Math.round(i * step));
+}
+
+/**
+ * Split frames ({ hash, ... }) into kept and dropped ones. A frame is dropped when it is
+ * within `threshold` bits of the last kept frame; the first frame is always kept.
+ */
+function selectFrames(frames, threshold) {
+    const kept = [];
+    const dropped = [];
+    for (let frame of frames) {
+        const last = kept[kept.length - 1];
+        if (last && hammingDistance(last.hash, frame.hash) <= threshold) {
+            dropped.push(frame);
+        } else {
+            kept.push(frame);
+        }
+    }
+    return { kept, dropped };
+}
+
+/**
+ * Add the frame timeline to an analysis prompt
+ */
+function buildPrompt(prompt, offsetsMs) {
+    if (offsetsMs.length === 1) {
+        return `${prompt}\n\nNothing changed while watching, so this is a single frame.`;
+    }
+    const times = offsetsMs.map((offset, idx) => `- Image ${idx + 1}: ${(offset / 1000).toFixed(1)}s`);
+    return [
+        prompt,
+        "",
+        `The ${offsetsMs.length} images are frames of one scene in chronological order (near-identical frames were left out), taken at:`,
+        ...times
+    ].join("\n");
+}
+
+module.exports = {
+    frameSchedule,
+    selectFrames,
+    buildPrompt
+};
@@ -0,0 +1,100 @@
+/**
+ * Webcam discovery, shared by the plugin and webcam_detector.js
+ * - Device ids come from NodeWebcam.list(): /dev/videoN on Linux, device names on macOS, numbers on Windows
+ * - Friendly names come from sysfs on Linux and Get-PnpDevice on Windows (matched by order, best effort)
+ * - A camera can be picked by (part of) its name, with a configured device as fallback
+ */
+
+const NodeWebcam = require("node-webcam");
+const fs = require("fs");
+const path = require("path");
+const { exec } = require("child_process");
+
+// Listing shells out, never let a hanging tool block a capture
+const LIST_TIMEOUT_MS = 10000;
+
+const V4L2_SYSFS = "/sys/class/video4linux";
+
+/**
+ * Read a sysfs attribute of a v4l2 device, or null
+ */
+function readV4l2(devicePath, attribute) {
+    try {
+        return fs.readFileSync(path.join(V4L2_SYSFS, path.basename(devicePath), attribute), "utf8").trim();
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Device ids as returned by NodeWebcam.list()
+ */
+function listDeviceIds() {
+    // node-webcam throws from inside its callback when `ls /dev/video*` finds nothing
+    if (process.platform === "linux" && !fs.readdirSync("/dev").some(name => name.startsWith("video"))) {
+        return Promise.resolve([]);
+    }
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error("Listing cameras timed out")), LIST_TIMEOUT_MS);
+        try {
+            NodeWebcam.list((list) => {
+                clearTimeout(timer);
+                resolve((list || []).map(id => typeof id === "string" ? id.trim() : id).filter(id => id !== ""));
+            });
+        } catch (err) {
+            clearTimeout(timer);
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Camera names from Windows Plug and Play, in enumeration order
+ */
+function listWindowsNames() {
+    const psCommand = "Get-PnpDevice -Class Camera,Image -PresentOnly | Select-Object -ExpandProperty FriendlyName";
+    return new Promise(resolve => {
+        exec(`powershell -NoProfile -Command "${psCommand}"`, { timeout: LIST_TIMEOUT_MS }, (err, stdout) => {
+            resolve(err ? [] : stdout.split(/\r?\n/).map(line => line.trim()).filter(Boolean));
+        });
+    });
+}
+
+/**
+ * List connected cameras as [{ index, device, name }].
+ * device is what node-webcam's `device` option expects, name is null when unknown.
+ */
+async function listCameras() {
+    let ids = await listDeviceIds();
+
+    if (process.platform === "linux") {
+        // Most USB cameras also register a metadata node that can't capture, sysfs index 0 is the real one
+        ids = ids.filter(id => [null, "0"].includes(readV4l2(id, "index")));
+        return ids.map((id, index) => ({ index, device: id, name: readV4l2(id, "name") }));
+    }
+
+    if (process.platform === "win32") {
+        const names = await listWindowsNames();
+        return ids.map((id, index) => ({ index, device: id, name: names[index] || null }));
+    }
+
+    // macOS (imagesnap) lists and selects cameras by name
+    return ids.map((id, index) => ({ index, device: id, name: typeof id === "string" ? id : null }));
+}
+
+/**
+ * Find a camera by name: an exact (case-insensitive) match first, then a partial one
+ */
+function findCamera(cameras, name) {
+    const wanted = String(name).trim().toLowerCase();
+    const named = cameras.filter(camera => camera.name);
+    return named.find(camera => camera.name.toLowerCase() === wanted)
+        || named.find(camera => camera.name.toLowerCase().includes(wanted))
+        || null;
+}
+
+module.exports = {
+    listCameras,
+    findCamera
+};
@@ -0,0 +1,789 @@
+/**
+ * Vision Plugin configuration
+ * - Defaults, schema validation and loading of config.json
+ * - config.json lives in the plugin folder so it survives plugin updates
+ */
+
+const fs = require("fs");
+const path = require("path");
+const providers = require("./providers");
+const { BUILTIN_PATTERNS } = require("./redaction");
+const promptTemplates = require("./prompt_templates");
+
+const CONFIG_PATH = path.join(__dirname, "config.json");
+
+const DEFAULT_CONFIG = {
+    wake_phrases: {
+        webcam: ["look at me", "see me", "check my webcam", "what do you see"],
+        screenshot: ["look at screen", "see my screen", "check my screen", "what's on screen", "look at my screen"],
+        read: ["read my screen", "read the screen", "read this text", "what does my screen say"],
+        watch_webcam: ["watch me", "watch me do this", "watch this trick", "watch what i do"],
+        watch_screenshot: ["watch my screen", "look at this animation", "watch the screen"]
+    },
+    wake: {
+        mode: "rules",
+        fuzzy: true,
+        synonyms: {
+            webcam: {
+                webcam: ["camera", "cam", "facecam"],
+                look: ["peek", "glance"]
+            },
+            screenshot: {
+                screen: ["monitor", "display", "desktop", "pc"],
+                look: ["peek", "glance"]
+            }
+        },
+        llm_model: null
+    },
+    vision: {
+        provider: "openai",
+        model: "gpt-4o-mini",
+        endpoint: null,
+        max_tokens: 500,
+        detail: "auto",
+        timeout_ms: 30000,
+        retries: 2,
+        retry_backoff_ms: 1000,
+        max_backoff_ms: 20000,
+        fallback_model: null
+    },
+    ocr: {
+        modes: {
+            command: "off",
+            wake_phrase: "off",
+            twitch_reward: "off",
+            ambient: "off"
+        },
+        min_confidence: 50,
+        max_chars: 1500,
+        timeout_ms: 30000
+    },
+    structured: {
+        enabled: false
+    },
+    prompts: {
+        profile: "default",
+        variables: { game: "" }
+    },
+    streaming: {
+        enabled: false,
+        output: "input",
+        min_chunk_chars: 40
+    },
+    fallback_lines: {
+        auth: "You tried to look, but your vision isn't set up properly. Tell {user} someone needs to check your API key.",
+        quota: "You tried to look, but you've used up all your vision for now. Tell {user} you can't see anything until it's topped up.",
+        rate_limit: "You tried to look, but too many people asked at once and your eyes need a break. Ask {user} to try again in a bit.",
+        bad_image: "You tried to look, but the picture came through garbled. Tell {user} you couldn't make anything out.",
+        timeout: "You tried to look, but your vision took too long to focus. Apologise to {user} and ask them to try again.",
+        capture: "You tried to look, but the camera or screen capture didn't work. Tell {user} you couldn't see anything.",
+        denied: "You were about to look through the camera for {user}, but the streamer said no. Tell {user} not this time.",
+        camera: "You tried to look through your camera, but it isn't working right now (it might be unplugged or in use by something else). Tell {user} you can't see them.",
+        image: "{user} showed you an image, but you couldn't open it. Tell {user} the image didn't load.",
+        budget: "You tried to look, but you've spent your vision budget for now. Tell {user} your eyes are resting until the budget resets.",
+        default: "You tried to look, but something went wrong with your vision. Apologise to {user}."
+    },
+    preprocess: {
+        enabled: true,
+        max_dimension: 1568,
+        format: "jpeg",
+        quality: 85,
+        grayscale: false,
+        crop: {
+            webcam: null,
+            screenshot: null
+        }
+    },
+    webcam: {
+        width: 1280,
+        height: 720,
+        quality: 100,
+        delay: 0,
+        camera_name: null,
+        device: 2,
+        fallback_devices: []
+    },
+    webcam_health: {
+        enabled: true,
+        min_width: 160,
+        min_height: 120,
+        black_threshold: 8,
+        retries: 1,
+        retry_delay_ms: 500,
+        frozen_check_ms: 300
+    },
+    screenshot: {
+        display: null,
+        regions: {}
+    },
+    obs: {
+        url: "ws://127.0.0.1:4455",
+        password: null,
+        screenshot: false,
+        source: null,
+        webcam_source: null,
+        image_width: null,
+        timeout_ms: 5000
+    },
+    privacy: {
+        blackout: {
+            webcam: [],
+            screenshot: [],
+            displays: {},
+            obs_sources: {}
+        },
+        ocr_mask: false,
+        mask_patterns: ["email", "api_key", "stream_key"],
+        ocr_language: "eng"
+    },
+    archive: {
+        enabled: true,
+        max_age_days: null,
+        max_count: null,
+        max_total_mb: null
+    },
+    followup: {
+        enabled: true,
+        auto: true,
+        window_seconds: 60,
+        max_images: 1
+    },
+    ambient: {
+        enabled: false,
+        sources: ["screenshot"],
+        interval_seconds: 30,
+        change_threshold: 10,
+        max_calls_per_hour: 20
+    },
+    image_sources: {
+        max_mb: 20,
+        folder: null,
+        watch_folder: false,
+        settle_ms: 1000,
+        urls: {
+            enabled: true,
+            max_mb: 5,
+            timeout_ms: 10000,
+            allow_private: false
+        }
+    },
+    burst: {
+        frames: 6,
+        default_seconds: 5,
+        max_seconds: 15,
+        dedupe_threshold: 4,
+        max_dimension: 768
+    },
+    queue: {
+        max_depth: 5
+    },
+    metrics: {
+        prices: {
+            "gpt-4o-mini": { input: 0.15, output: 0.60 },
+            "gpt-4o": { input: 2.50, output: 10.00 },
+            "gpt-4.1-mini": { input: 0.40, output: 1.60 },
+            "claude-3-5-sonnet": { input: 3.00, output: 15.00 },
+            "claude-3-5-haiku": { input: 0.80, output: 4.00 },
+            "gemini-1.5-flash": { input: 0.075, output: 0.30 },
+            "gemini-2.0-flash": { input: 0.10, output: 0.40 }
+        },
+        budget: {
+            daily_usd: null,
+            monthly_usd: null
+        }
+    },
+    cooldown_ms: 10000,
+    capture_timeout_ms: 30000,
+    twitch: {
+        rewards: {
+            "Show me your face": { type: "webcam" },
+            "Look at chat": { type: "webcam" },
+            "AI looks at you": { type: "webcam" },
+            "Show me your screen": { type: "screenshot" },
+            "What are you doing?": { type: "screenshot" },
+            "AI looks at screen": { type: "screenshot" }
+        },
+        global_cooldown_ms: 0,
+        user_cooldown_ms: 60000,
+        allow: [],
+        deny: []
+    },
+    permissions: {
+        commands: {
+            "!webcam": "mods",
+            "!screenshot": "mods",
+            "!watch": "mods",
+            "!vision-read": "mods",
+            "!vision-ask": "everyone"
+        },
+        wake_phrases: "mods",
+        image_urls: "mods",
+        mods: [],
+        user_limit: 3,
+        user_window_seconds: 600,
+        approve_webcam: false,
+        approval_timeout_seconds: 30
+    },
+    hot_reload: true
+};
+
+const stringList = { type: "array", items: { type: "string", minLength: 1 } };
+
+const synonymMap = { type: "object", values: stringList };
+
+const rect = {
+    type: "object",
+    nullable: true,
+    required: ["x", "y", "width", "height"],
+    properties: {
+        x: { type: "integer", min: 0 },
+        y: { type: "integer", min: 0 },
+        width: { type: "integer", min: 1 },
+        height: { type: "integer", min: 1 }
+    }
+};
+
+const rectList = { type: "array", items: { ...rect, nullable: false } };
+
+const maskPattern = {
+    type: "string",
+    minLength: 1,
+    // Either a built-in pattern name or a regular expression
+    check: (value) => {
+        if (BUILTIN_PATTERNS[value]) return null;
+        try {
+            new RegExp(value);
+            return null;
+        } catch (err) {
+            return `not a built-in pattern (${Object.keys(BUILTIN_PATTERNS).join(", ")}) or a valid regex: ${err.message}`;
+        }
+    }
+};
+
+const region = {
+    type: "object",
+    required: ["x", "y", "width", "height"],
+    properties: {
+        display: { type: ["integer", "string"], nullable: true },
+        x: { type: "integer", min: 0 },
+        y: { type: "integer", min: 0 },
+        width: { type: "integer", min: 1 },
+        height: { type: "integer", min: 1 },
+        wake_phrases: stringList
+    }
+};
+
+// USD per 1M tokens
+const price = {
+    type: "object",
+    required: ["input", "output"],
+    properties: {
+        input: { type: "number", min: 0 },
+        output: { type: "number", min: 0 }
+    }
+};
+
+const accessLevel = { type: "string", enum: ["everyone", "mods", "off"] };
+
+const ocrMode = { type: "string", enum: ["off", "attach", "text"] };
+
+const reward = {
+    type: "object",
+    required: ["type"],
+    properties: {
+        type: { type: "string", enum: ["webcam", "screenshot"] },
+        prompt: { type: "string", minLength: 1 },
+        context: { type: "string", minLength: 1 },
+        region: { type: "string", minLength: 1 },
+        display: { type: ["integer", "string"] },
+        obs_source: { type: "string", minLength: 1 },
+        profile: { type: "string", minLength: 1 },
+        ocr: ocrMode
+    }
+};
+
+/**
+ * Check the templates inside the config for unknown placeholders, returns a list of errors.
+ * Needs the whole config because custom prompt variables are allowed too.
+ */
+function checkTemplates(config) {
+    const variables = config.prompts?.variables ?? DEFAULT_CONFIG.prompts.variables;
+    const custom = matchesType(variables, "object") ? Object.keys(variables) : [];
+    const templates = [];
+
+    if (matchesType(config.twitch?.rewards, "object")) {
+        for (let [name, reward] of Object.entries(config.twitch.rewards)) {
+            if (typeof reward?.prompt === "string") templates.push([`twitch.rewards.${name}.prompt`, reward.prompt, promptTemplates.REQUEST_VARIABLES]);
+            if (typeof reward?.context === "string") templates.push([`twitch.rewards.${name}.context`, reward.context, promptTemplates.CONTEXT_VARIABLES]);
+        }
+    }
+    if (matchesType(config.fallback_lines, "object")) {
+        for (let [kind, line] of Object.entries(config.fallback_lines)) {
+            if (typeof line === "string") templates.push([`fallback_lines.${kind}`, line, promptTemplates.REQUEST_VARIABLES]);
+        }
+    }
+
+    return templates
+        .map(([key, template, allowed]) => [key, promptTemplates.unknownPlaceholders(template, [...allowed, ...custom])])
+        .filter(([, unknown]) => unknown.length > 0)
+        .map(([key, unknown]) => `${key}: unknown placeholder(s) ${unknown.map(name => `{${name}}`).join(", ")}`);
+}
+
+const SCHEMA = {
+    type: "object",
+    properties: {
+        wake_phrases: {
+            type: "object",
+            properties: {
+                webcam: stringList,
+                screenshot: stringList,
+                read: stringList,
+                watch_webcam: stringList,
+                watch_screenshot: stringList
+            }
+        },
+        wake: {
+            type: "object",
+            properties: {
+                mode: { type: "string", enum: ["rules", "llm"] },
+                fuzzy: { type: "boolean" },
+                synonyms: {
+                    type: "object",
+                    properties: { webcam: synonymMap, screenshot: synonymMap }
+                },
+                llm_model: { type: "string", minLength: 1, nullable: true }
+            }
+        },
+        vision: {
+            type: "object",
+            properties: {
+                provider: { type: "string", enum: Object.keys(providers.PROVIDERS) },
+                model: { type: "string", minLength: 1 },
+                endpoint: { type: "string", nullable: true, pattern: /^https?:\/\//, patternHint: "an http(s):// URL" },
+                max_tokens: { type: "integer", min: 1 },
+                detail: { type: "string", enum: ["low", "high", "auto"] },
+                timeout_ms: { type: "integer", min: 1000 },
+                retries: { type: "integer", min: 0, max: 10 },
+                retry_backoff_ms: { type: "integer", min: 0 },
+                max_backoff_ms: { type: "integer", min: 0 },
+                fallback_model: { type: "string", minLength: 1, nullable: true }
+            }
+        },
+        ocr: {
+            type: "object",
+            properties: {
+                modes: {
+                    type: "object",
+                    properties: {
+                        command: ocrMode,
+                        wake_phrase: ocrMode,
+                        twitch_reward: ocrMode,
+                        ambient: ocrMode
+                    }
+                },
+                min_confidence: { type: "number", min: 0, max: 100 },
+                max_chars: { type: "integer", min: 1 },
+                timeout_ms: { type: "integer", min: 1 }
+            }
+        },
+        structured: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" }
+            }
+        },
+        prompts: {
+            type: "object",
+            properties: {
+                profile: { type: "string", minLength: 1 },
+                variables: {
+                    type: "object",
+                    values: { type: "string" },
+                    check: (value) => {
+                        const bad = Object.keys(value).filter(name => !/^\w+$/.test(name) || promptTemplates.RESERVED_VARIABLES.includes(name));
+                        return bad.length > 0 ? `invalid or built-in variable name(s): ${bad.join(", ")}` : null;
+                    }
+                }
+            }
+        },
+        streaming: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                output: { type: "string", enum: ["input", "memory"] },
+                min_chunk_chars: { type: "integer", min: 1 }
+            }
+        },
+        fallback_lines: {
+            type: "object",
+            properties: {
+                auth: { type: "string" },
+                quota: { type: "string" },
+                rate_limit: { type: "string" },
+                bad_image: { type: "string" },
+                timeout: { type: "string" },
+                capture: { type: "string" },
+                camera: { type: "string" },
+                denied: { type: "string" },
+                image: { type: "string" },
+                budget: { type: "string" },
+                default: { type: "string" }
+            }
+        },
+        preprocess: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                max_dimension: { type: "integer", min: 64, nullable: true },
+                format: { type: "string", enum: ["jpeg", "png", "webp", "original"] },
+                quality: { type: "integer", min: 1, max: 100 },
+                grayscale: { type: "boolean" },
+                crop: {
+                    type: "object",
+                    properties: { webcam: rect, screenshot: rect }
+                }
+            }
+        },
+        webcam: {
+            type: "object",
+            properties: {
+                width: { type: "integer", min: 1 },
+                height: { type: "integer", min: 1 },
+                quality: { type: "integer", min: 1, max: 100 },
+                delay: { type: "number", min: 0 },
+                camera_name: { type: "string", minLength: 1, nullable: true },
+                device: { type: ["integer", "string", "boolean"] },
+                fallback_devices: { type: "array", items: { type: ["integer", "string"] } }
+            }
+        },
+        webcam_health: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                min_width: { type: "integer", min: 1 },
+                min_height: { type: "integer", min: 1 },
+                black_threshold: { type: "number", min: 0, max: 255 },
+                retries: { type: "integer", min: 0 },
+                retry_delay_ms: { type: "integer", min: 0 },
+                frozen_check_ms: { type: "integer", min: 0, nullable: true }
+            }
+        },
+        screenshot: {
+            type: "object",
+            properties: {
+                display: { type: ["integer", "string"], nullable: true },
+                regions: { type: "object", values: region }
+            }
+        },
+        obs: {
+            type: "object",
+            properties: {
+                url: { type: "string", pattern: /^wss?:\/\//, patternHint: "a ws:// URL" },
+                password: { type: "string", nullable: true },
+                screenshot: { type: "boolean" },
+                source: { type: "string", minLength: 1, nullable: true },
+                webcam_source: { type: "string", minLength: 1, nullable: true },
+                image_width: { type: "integer", min: 8, max: 4096, nullable: true },
+                timeout_ms: { type: "integer", min: 1000 }
+            }
+        },
+        privacy: {
+            type: "object",
+            properties: {
+                blackout: {
+                    type: "object",
+                    properties: {
+                        webcam: rectList,
+                        screenshot: rectList,
+                        displays: { type: "object", values: rectList },
+                        obs_sources: { type: "object", values: rectList }
+                    }
+                },
+                ocr_mask: { type: "boolean" },
+                mask_patterns: { type: "array", items: maskPattern },
+                ocr_language: { type: "string", minLength: 1 }
+            }
+        },
+        archive: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                max_age_days: { type: "number", min: 0, nullable: true },
+                max_count: { type: "integer", min: 0, nullable: true },
+                max_total_mb: { type: "number", min: 0, nullable: true }
+            }
+        },
+        followup: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                auto: { type: "boolean" },
+                window_seconds: { type: "number", min: 1 },
+                max_images: { type: "integer", min: 1, max: 10 }
+            }
+        },
+        ambient: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                sources: { type: "array", items: { type: "string", enum: ["webcam", "screenshot"] } },
+                interval_seconds: { type: "number", min: 5 },
+                change_threshold: { type: "integer", min: 0, max: 64 },
+                max_calls_per_hour: { type: "integer", min: 0 }
+            }
+        },
+        image_sources: {
+            type: "object",
+            properties: {
+                max_mb: { type: "number", min: 0.1 },
+                folder: { type: "string", minLength: 1, nullable: true },
+                watch_folder: { type: "boolean" },
+                settle_ms: { type: "integer", min: 0 },
+                urls: {
+                    type: "object",
+                    properties: {
+                        enabled: { type: "boolean" },
+                        max_mb: { type: "number", min: 0.1 },
+                        timeout_ms: { type: "integer", min: 1000 },
+                        allow_private: { type: "boolean" }
+                    }
+                }
+            }
+        },
+        burst: {
+            type: "object",
+            properties: {
+                frames: { type: "integer", min: 2, max: 10 },
+                default_seconds: { type: "number", min: 1 },
+                max_seconds: { type: "number", min: 1, max: 60 },
+                dedupe_threshold: { type: "integer", min: 0, max: 64 },
+                max_dimension: { type: "integer", min: 64 }
+            }
+        },
+        queue: {
+            type: "object",
+            properties: {
+                max_depth: { type: "integer", min: 1 }
+            }
+        },
+        metrics: {
+            type: "object",
+            properties: {
+                prices: { type: "object", values: price },
+                budget: {
+                    type: "object",
+                    properties: {
+                        daily_usd: { type: "number", min: 0, nullable: true },
+                        monthly_usd: { type: "number", min: 0, nullable: true }
+                    }
+                }
+            }
+        },
+        cooldown_ms: { type: "integer", min: 0 },
+        capture_timeout_ms: { type: "integer", min: 1000 },
+        twitch: {
+            type: "object",
+            properties: {
+                rewards: { type: "object", values: reward },
+                global_cooldown_ms: { type: "integer", min: 0, nullable: true },
+                user_cooldown_ms: { type: "integer", min: 0 },
+                allow: stringList,
+                deny: stringList
+            }
+        },
+        permissions: {
+            type: "object",
+            properties: {
+                commands: { type: "object", values: accessLevel },
+                wake_phrases: accessLevel,
+                image_urls: accessLevel,
+                mods: stringList,
+                user_limit: { type: "integer", min: 1, nullable: true },
+                user_window_seconds: { type: "number", min: 1 },
+                approve_webcam: { type: "boolean" },
+                approval_timeout_seconds: { type: "number", min: 1 }
+            }
+        },
+        hot_reload: { type: "boolean" }
+    }
+};
+
+/**
+ * Check a value against one schema type name
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case "integer":
+            return Number.isInteger(value);
+        case "number":
+            return typeof value === "number" && Number.isFinite(value);
+        case "array":
+            return Array.isArray(value);
+        case "object":
+            return typeof value === "object" && value !== null && !Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Validate a value against a schema node, collecting readable errors
+ */
+function validateNode(value, schema, keyPath, errors) {
+    if (value === null && schema.nullable) return;
+
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+        errors.push(`${keyPath || "(root)"}: expected ${types.join(" or ")}, got ${JSON.stringify(value)}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${keyPath}: must be one of ${schema.enum.join(", ")}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.min !== undefined && value < schema.min) {
+        errors.push(`${keyPath}: must be >= ${schema.min}, got ${value}`);
+    }
+    if (schema.max !== undefined && value > schema.max) {
+        errors.push(`${keyPath}: must be <= ${schema.max}, got ${value}`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${keyPath}: must not be empty`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${keyPath}: must be ${schema.patternHint}, got ${JSON.stringify(value)}`);
+    }
+
+    if (schema.items) {
+        value.forEach((item, idx) => validateNode(item, schema.items, `${keyPath}[${idx}]`, errors));
+    }
+
+    if (schema.check) {
+        const error = schema.check(value);
+        if (error) errors.push(`${keyPath}: ${error}`);
+    }
+
+    if (schema.required) {
+        for (let key of schema.required) {
+            if (!(key in value)) {
+                errors.push(`${keyPath ? `${keyPath}.` : ""}${key}: is required`);
+            }
+        }
+    }
+
+    // Maps with free-form keys (e.g. named regions)
+    if (schema.values) {
+        for (let [key, child] of Object.entries(value)) {
+            validateNode(child, schema.values, `${keyPath}.${key}`, errors);
+        }
+    }
+
+    if (schema.properties) {
+        for (let [key, child] of Object.entries(value)) {
+            const childPath = keyPath ? `${keyPath}.${key}` : key;
+            if (!schema.properties[key]) {
+                errors.push(`${childPath}: unknown setting`);
+                continue;
+            }
+            validateNode(child, schema.properties[key], childPath, errors);
+        }
+    }
+}
+
+/**
+ * Validate any value against a schema node, returns a list of error strings
+ */
+function validateValue(value, schema, keyPath = "") {
+    const errors = [];
+    validateNode(value, schema, keyPath, errors);
+    return errors;
+}
+
+/**
+ * Validate a (possibly partial) config object, returns a list of error strings
+ */
+function validateConfig(config) {
+    const errors = [];
+    validateNode(config, SCHEMA, "", errors);
+    if (matchesType(config, "object")) {
+        errors.push(...checkTemplates(config));
+    }
+    return errors;
+}
+
+/**
+ * Deep-merge a partial config over the defaults.
+ * Arrays and free-form maps (e.g. rewards, regions) are replaced, not merged.
+ */
+function mergeConfig(base, override, schema = SCHEMA) {
+    const result = { ...base };
+    for (let [key, value] of Object.entries(override)) {
+        const child = schema?.properties?.[key];
+        if (matchesType(value, "object") && matchesType(base[key], "object") && !child?.values) {
+            result[key] = mergeConfig(base[key], value, child);
+        } else {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Load config.json, creating it with defaults when missing.
+ * Throws with every validation error listed when the file is invalid.
+ */
+function loadConfig() {
+    if (!fs.existsSync(CONFIG_PATH)) {
+        fs.writeFileSync(CONFIG_PATH, JSON.stringify(DEFAULT_CONFIG, null, 4));
+        return { config: mergeConfig(DEFAULT_CONFIG, {}), created: true };
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+    } catch (err) {
+        throw new Error(`config.json is not valid JSON: ${err.message}`);
+    }
+
+    const errors = validateConfig(parsed);
+    if (errors.length > 0) {
+        throw new Error(`config.json has ${errors.length} invalid setting(s):\n  - ${errors.join("\n  - ")}`);
+    }
+
+    return { config: mergeConfig(DEFAULT_CONFIG, parsed), created: false };
+}
+
+/**
+ * Watch config.json and call onChange (debounced) when it is modified.
+ * The folder is watched rather than the file: editors that save to a temp file and rename it
+ * over config.json replace the file, and a watcher on the old one would never fire again.
+ */
+function watchConfig(onChange) {
+    const fileName = path.basename(CONFIG_PATH);
+    let timer = null;
+    const watcher = fs.watch(path.dirname(CONFIG_PATH), (event, changed) => {
+        // Some platforms don't say which file changed
+        if (changed && changed !== fileName) return;
+        // Editors often emit several events per save, and the file may be missing halfway through one
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            if (fs.existsSync(CONFIG_PATH)) onChange();
+        }, 300);
+    });
+    return {
+        close: () => {
+            clearTimeout(timer);
+            watcher.close();
+        }
+    };
+}
+
+module.exports = {
+    CONFIG_PATH,
+    DEFAULT_CONFIG,
+    validateValue,
+    validateConfig,
+    mergeConfig,
+    loadConfig,
+    watchConfig
+};
@@ -0,0 +1,59 @@
+/**
+ * Webcam frame health checks
+ * - tiny: smaller than the minimum size (placeholder frames from busy or half-initialised cameras)
+ * - black: average brightness below a threshold (lens covered, unplugged camera, driver returning zeros)
+ * - frozen: pixel-identical to a frame grabbed moments earlier from the same device (real sensors always add some noise)
+ */
+
+const crypto = require("crypto");
+
+// Brightness is averaged over every Nth pixel, plenty for a mean and cheap on 1280x720
+const SAMPLE_STEP = 7;
+
+/**
+ * Mean luma (0-255) of an RGBA image
+ */
+function averageBrightness(image) {
+    const pixels = image.width * image.height;
+    let total = 0;
+    let count = 0;
+    for (let p = 0; p < pixels; p += SAMPLE_STEP) {
+        const i = p * 4;
+        total += 0.299 * image.data[i] + 0.587 * image.data[i + 1] + 0.114 * image.data[i + 2];
+        count++;
+    }
+    return count > 0 ? total / count : 0;
+}
+
+/**
+ * Digest of the pixel data, equal only for identical frames
+ */
+function frameDigest(image) {
+    return crypto.createHash("sha1").update(image.data).digest("hex");
+}
+
+/**
+ * Check a decoded frame. previousDigest is the digest of an earlier frame from the same capture (or null).
+ * options: { min_width, min_height, black_threshold }
+ * Returns { problem, brightness, digest }, problem is "tiny", "black", "frozen" or null.
+ */
+function checkFrame(image, previousDigest, options) {
+    const digest = frameDigest(image);
+    if (image.width < options.min_width || image.height < options.min_height) {
+        return { problem: "tiny", brightness: null, digest };
+    }
+
+    const brightness = averageBrightness(image);
+    if (brightness < options.black_threshold) {
+        return { problem: "black", brightness, digest };
+    }
+    if (previousDigest && digest === previousDigest) {
+        return { problem: "frozen", brightness, digest };
+    }
+    return { problem: null, brightness, digest };
+}
+
+module.exports = {
+    averageBrightness,
+    checkFrame
+};
@@ -0,0 +1,223 @@
+/**
+ * In-process image decoding/encoding
+ * - BMP decoder (24/32-bit, bottom-up and top-down) for node-webcam captures
+ * - PNG/JPEG through pngjs and jpeg-js, WebP output through libwebp compiled to WebAssembly (@jsquash/webp),
+ *   no Python or native binaries needed
+ * - Images are passed around as { width, height, data } with RGBA pixel data
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { PNG } = require("pngjs");
+const jpeg = require("jpeg-js");
+
+// Loaded on first use, the WebP encoder is only needed with preprocess.format "webp"
+let webpEncoder = null;
+
+const BI_RGB = 0;
+const BI_BITFIELDS = 3;
+const BI_ALPHABITFIELDS = 6;
+
+/**
+ * Extract the value of a channel from a pixel using a BITFIELDS mask, scaled to 0-255
+ */
+function readMasked(pixel, mask) {
+    if (!mask) return 255;
+    let shift = 0;
+    while (((mask >>> shift) & 1) === 0) shift++;
+    const max = mask >>> shift;
+    return Math.round((((pixel & mask) >>> shift) / max) * 255);
+}
+
+/**
+ * Decode an uncompressed 24 or 32-bit BMP into RGBA
+ */
+function decodeBmp(buffer) {
+    if (buffer.length < 54 || buffer.toString("ascii", 0, 2) !== "BM") {
+        throw new Error("Not a BMP file");
+    }
+
+    const pixelOffset = buffer.readUInt32LE(10);
+    const headerSize = buffer.readUInt32LE(14);
+    const width = buffer.readInt32LE(18);
+    const rawHeight = buffer.readInt32LE(22);
+    const bitCount = buffer.readUInt16LE(28);
+    const compression = buffer.readUInt32LE(30);
+
+    // Negative height means rows are stored top-down
+    const topDown = rawHeight < 0;
+    const height = Math.abs(rawHeight);
+
+    if (width <= 0 || height === 0) {
+        throw new Error(`Invalid BMP dimensions: ${width}x${rawHeight}`);
+    }
+    if (bitCount !== 24 && bitCount !== 32) {
+        throw new Error(`Unsupported BMP bit depth: ${bitCount} (only 24 and 32-bit are supported)`);
+    }
+
+    let masks = null;
+    if (compression === BI_BITFIELDS || compression === BI_ALPHABITFIELDS) {
+        if (bitCount !== 32) {
+            throw new Error("BITFIELDS BMPs are only supported at 32-bit");
+        }
+        // Masks follow a 40-byte header, or are part of V4/V5 headers at the same offset
+        const maskOffset = 14 + 40;
+        masks = {
+            r: buffer.readUInt32LE(maskOffset),
+            g: buffer.readUInt32LE(maskOffset + 4),
+            b: buffer.readUInt32LE(maskOffset + 8),
+            a: (compression === BI_ALPHABITFIELDS || headerSize >= 56) ? buffer.readUInt32LE(maskOffset + 12) : 0
+        };
+    } else if (compression !== BI_RGB) {
+        throw new Error(`Unsupported BMP compression: ${compression}`);
+    }
+
+    const bytesPerPixel = bitCount / 8;
+    const rowSize = Math.ceil((width * bitCount) / 32) * 4;
+    if (pixelOffset + rowSize * height > buffer.length) {
+        throw new Error("BMP pixel data is truncated");
+    }
+
+    const data = Buffer.alloc(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        const srcRow = pixelOffset + (topDown ? y : height - 1 - y) * rowSize;
+        for (let x = 0; x < width; x++) {
+            const src = srcRow + x * bytesPerPixel;
+            const dst = (y * width + x) * 4;
+
+            if (masks) {
+                const pixel = buffer.readUInt32LE(src);
+                data[dst] = readMasked(pixel, masks.r);
+                data[dst + 1] = readMasked(pixel, masks.g);
+                data[dst + 2] = readMasked(pixel, masks.b);
+                data[dst + 3] = readMasked(pixel, masks.a);
+            } else {
+                // BGR(X) - the 4th byte of BI_RGB 32-bit is usually unused, so treat as opaque
+                data[dst] = buffer[src + 2];
+                data[dst + 1] = buffer[src + 1];
+                data[dst + 2] = buffer[src];
+                data[dst + 3] = 255;
+            }
+        }
+    }
+
+    return { width, height, data };
+}
+
+/**
+ * Encode an RGBA image as PNG
+ */
+function encodePng(image) {
+    return PNG.sync.write({ width: image.width, height: image.height, data: image.data });
+}
+
+/**
+ * Encode an RGBA image as JPEG (quality 1-100)
+ */
+function encodeJpeg(image, quality = 90) {
+    return jpeg.encode({ width: image.width, height: image.height, data: image.data }, quality).data;
+}
+
+/**
+ * Load the WebP encoder. The package fetches its .wasm by URL, which Node can't do for files,
+ * so the module is compiled here: the SIMD build where the runtime supports it, the plain one otherwise.
+ */
+function loadWebpEncoder() {
+    if (!webpEncoder) {
+        webpEncoder = (async () => {
+            const { default: encode, init } = await import("@jsquash/webp/encode.js");
+            const codecDir = path.dirname(require.resolve("@jsquash/webp/codec/enc/webp_enc.wasm"));
+            let wasm = await fs.promises.readFile(path.join(codecDir, "webp_enc_simd.wasm"));
+            if (!WebAssembly.validate(wasm)) {
+                wasm = await fs.promises.readFile(path.join(codecDir, "webp_enc.wasm"));
+            }
+            await init(new WebAssembly.Module(wasm));
+            return encode;
+        })();
+        // A failed load is retried on the next image
+        webpEncoder.catch(() => { webpEncoder = null; });
+    }
+    return webpEncoder;
+}
+
+/**
+ * Encode an RGBA image as lossy WebP (quality 1-100)
+ */
+async function encodeWebp(image, quality = 90) {
+    const encode = await loadWebpEncoder();
+    const data = new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.width * image.height * 4);
+    return Buffer.from(await encode({ width: image.width, height: image.height, data }, { quality }));
+}
+
+/**
+ * Detect the image format from the file signature
+ */
+function detectFormat(buffer) {
+    if (buffer.length >= 2 && buffer[0] === 0x42 && buffer[1] === 0x4d) return "bmp";
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return "png";
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "jpeg";
+    // Recognised so they can be passed through, but not decoded
+    if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString("latin1", 0, 6))) return "gif";
+    if (buffer.length >= 12 && buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP") return "webp";
+    return null;
+}
+
+/**
+ * Decode a BMP, PNG or JPEG buffer into RGBA
+ */
+function decodeImage(buffer) {
+    switch (detectFormat(buffer)) {
+        case "bmp":
+            return decodeBmp(buffer);
+        case "png": {
+            const png = PNG.sync.read(buffer);
+            return { width: png.width, height: png.height, data: png.data };
+        }
+        case "jpeg": {
+            const img = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+            return { width: img.width, height: img.height, data: Buffer.from(img.data.buffer) };
+        }
+        default:
+            throw new Error("Unsupported image format (expected BMP, PNG or JPEG)");
+    }
+}
+
+/**
+ * Encode an RGBA image to "png", "jpeg" or "webp"
+ */
+async function encodeImage(image, format, quality) {
+    switch (format) {
+        case "png":
+            return encodePng(image);
+        case "jpg":
+        case "jpeg":
+            return encodeJpeg(image, quality);
+        case "webp":
+            return encodeWebp(image, quality);
+        default:
+            throw new Error(`Unsupported output format: ${format}`);
+    }
+}
+
+/**
+ * Convert a BMP file to PNG or JPEG, picking the format from the output extension
+ */
+async function convertBmpFile(inputPath, outputPath, quality = 90) {
+    const buffer = await fs.promises.readFile(inputPath);
+    const image = decodeBmp(buffer);
+    const format = path.extname(outputPath).slice(1).toLowerCase();
+    await fs.promises.writeFile(outputPath, await encodeImage(image, format, quality));
+    return image;
+}
+
+module.exports = {
+    decodeBmp,
+    encodePng,
+    encodeJpeg,
+    encodeWebp,
+    detectFormat,
+    decodeImage,
+    encodeImage,
+    convertBmpFile
+};
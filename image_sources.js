@@ -0,0 +1,282 @@
+/**
+ * Images from outside the plugin: files on disk, the clipboard, a watched folder and URLs
+ * - Everything is checked by its file signature, not by its name or the server's say-so
+ * - URLs are fetched with a size cap and a timeout, and by default never from local or private addresses
+ * - The clipboard is read with the platform's own tools (PowerShell, osascript, wl-paste or xclip)
+ */
+
+const axios = require("axios");
+const dns = require("dns");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const path = require("path");
+const { execFile } = require("child_process");
+const imageCodec = require("./image_codec");
+
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".bmp", ".gif", ".webp"];
+
+// Image URLs in a chat message: http(s), ending in an image extension (a query string is fine),
+// punctuation right after the link is not part of it
+const IMAGE_URL = /\bhttps?:\/\/[^\s"'<>]+?\.(?:png|jpe?g|gif|webp)(?:\?[^\s"'<>]*?)?(?=[)"'<>,.!?]*(?:\s|$))/i;
+
+// Clipboard tools can hang on a busy clipboard owner
+const CLIPBOARD_TIMEOUT_MS = 10000;
+const CLIPBOARD_MAX_BYTES = 100 * 1024 * 1024;
+
+// Local, private, shared (CGNAT), benchmarking, multicast and reserved ranges, 255.255.255.255 included.
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 ranges by BlockList itself.
+const PRIVATE_RANGES = new net.BlockList();
+for (let [address, prefix] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+    ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, "ipv4");
+}
+for (let [address, prefix] of [["::", 128], ["::1", 128], ["64:ff9b:1::", 48], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, "ipv6");
+}
+
+// NAT64 (64:ff9b::10.0.0.1) reaches the IPv4 address in the last 32 bits
+const NAT64 = new net.BlockList();
+NAT64.addSubnet("64:ff9b::", 96, "ipv6");
+
+/**
+ * An error of kind "image": the file, clipboard or URL did not give a usable image
+ */
+function imageError(message) {
+    const err = new Error(message);
+    err.kind = "image";
+    return err;
+}
+
+/**
+ * Throw unless the buffer is an image the plugin can send
+ */
+function checkImage(buffer, what) {
+    if (!imageCodec.detectFormat(buffer)) {
+        throw imageError(`${what} is not a PNG, JPEG, BMP, GIF or WebP image`);
+    }
+    return buffer;
+}
+
+/**
+ * Read an image file, up to maxBytes
+ */
+function readImageFile(filePath, maxBytes) {
+    let stats;
+    try {
+        stats = fs.statSync(filePath);
+    } catch (err) {
+        throw imageError(`Image file not found: ${filePath}`);
+    }
+    if (!stats.isFile()) throw imageError(`Not a file: ${filePath}`);
+    if (stats.size > maxBytes) {
+        throw imageError(`${filePath} is ${(stats.size / 1024 / 1024).toFixed(1)} MB, the limit is ${(maxBytes / 1024 / 1024).toFixed(1)} MB`);
+    }
+    return checkImage(fs.readFileSync(filePath), filePath);
+}
+
+/**
+ * Whether a file name has an image extension
+ */
+function isImageName(name) {
+    return IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+/**
+ * Path of the most recently modified image in a folder (not recursive), or null
+ */
+function newestImage(dir) {
+    let newest = null;
+    for (let entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (!entry.isFile() || !isImageName(entry.name)) continue;
+        const file = path.join(dir, entry.name);
+        const mtime = fs.statSync(file).mtimeMs;
+        if (!newest || mtime > newest.mtime) newest = { file, mtime };
+    }
+    return newest ? newest.file : null;
+}
+
+/**
+ * Call onImage(file) for every image added to a folder, once it has stopped changing for settleMs
+ * (screenshot tools write files in several steps). Returns an object with close().
+ */
+function watchFolder(dir, settleMs, onImage) {
+    const timers = {};
+    const watcher = fs.watch(dir, (event, name) => {
+        if (!name || !isImageName(name)) return;
+        clearTimeout(timers[name]);
+        timers[name] = setTimeout(() => {
+            delete timers[name];
+            const file = path.join(dir, name);
+            // Deletes and renames away fire the same event
+            if (fs.existsSync(file)) onImage(file);
+        }, settleMs);
+    });
+
+    return {
+        close() {
+            watcher.close();
+            Object.values(timers).forEach(clearTimeout);
+        }
+    };
+}
+
+/**
+ * Run a clipboard tool, resolves its stdout, or null when it fails
+ * (every tool exits with an error when the clipboard holds no image)
+ */
+function runClipboardTool(file, args) {
+    return new Promise((resolve, reject) => {
+        execFile(file, args, { encoding: "buffer", timeout: CLIPBOARD_TIMEOUT_MS, maxBuffer: CLIPBOARD_MAX_BYTES, windowsHide: true }, (err, stdout) => {
+            if (err?.code === "ENOENT") {
+                reject(imageError(`Reading the clipboard needs ${file}, which is not installed`));
+                return;
+            }
+            resolve(err || stdout.length === 0 ? null : stdout);
+        });
+    });
+}
+
+/**
+ * The image on the clipboard, or null when there is none
+ */
+async function readClipboard() {
+    if (process.platform === "win32") {
+        const script = [
+            "Add-Type -AssemblyName System.Windows.Forms, System.Drawing",
+            "$img = [System.Windows.Forms.Clipboard]::GetImage()",
+            "if ($img) { $ms = New-Object System.IO.MemoryStream; $img.Save($ms, [System.Drawing.Imaging.ImageFormat]::Png); [Convert]::ToBase64String($ms.ToArray()) }"
+        ].join("; ");
+        const output = await runClipboardTool("powershell", ["-NoProfile", "-STA", "-Command", script]);
+        const base64 = output ? output.toString("utf8").trim() : "";
+        return base64 ? checkImage(Buffer.from(base64, "base64"), "The clipboard") : null;
+    }
+
+    if (process.platform === "darwin") {
+        // Prints «data PNGf89504E47...» when the clipboard holds an image
+        const output = await runClipboardTool("osascript", ["-e", "the clipboard as «class PNGf»"]);
+        const hex = output ? /«data PNGf([0-9A-Fa-f]+)»/.exec(output.toString("utf8")) : null;
+        return hex ? checkImage(Buffer.from(hex[1], "hex"), "The clipboard") : null;
+    }
+
+    const output = process.env.WAYLAND_DISPLAY
+        ? await runClipboardTool("wl-paste", ["--no-newline", "--type", "image/png"])
+        : await runClipboardTool("xclip", ["-selection", "clipboard", "-t", "image/png", "-o"]);
+    return output ? checkImage(output, "The clipboard") : null;
+}
+
+/**
+ * First image URL in a message, or null
+ */
+function findImageUrl(message) {
+    const match = IMAGE_URL.exec(message || "");
+    return match ? match[0] : null;
+}
+
+/**
+ * The IPv4 address a NAT64 address stands for, or null when it can't be read
+ */
+function nat64Target(address) {
+    // Written with a dotted quad, or (as URL and DNS give it) with the last 32 bits as up to two hex groups
+    const match = /^64:ff9b::(?:(\d+\.\d+\.\d+\.\d+)|(?:([0-9a-f]{1,4}):)?([0-9a-f]{1,4}))$/i.exec(address);
+    if (!match) return null;
+    if (match[1]) return match[1];
+    const high = parseInt(match[2] || "0", 16);
+    const low = parseInt(match[3], 16);
+    return [high >> 8, high & 255, low >> 8, low & 255].join(".");
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the internet
+ */
+function isPrivateAddress(address) {
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it is
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) address = mapped[1];
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    if (family === 6 && NAT64.check(address, "ipv6")) {
+        const target = nat64Target(address);
+        return target === null || isPrivateAddress(target);
+    }
+    return PRIVATE_RANGES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * dns.lookup that refuses to connect to private addresses
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        const blocked = addresses.find(isPrivateAddress);
+        if (blocked) return callback(imageError(`${hostname} resolves to a private address (${blocked})`));
+        callback(null, address, family);
+    });
+}
+
+/**
+ * Throw when a URL (or a redirect) is not http(s) or names a private IP address directly,
+ * which skips the DNS lookup
+ */
+function checkTarget(protocol, hostname, allowPrivate) {
+    if (!["http:", "https:"].includes(protocol)) throw imageError(`Only http(s) URLs are allowed, got ${protocol}`);
+    const host = hostname.replace(/^\[|\]$/g, "");
+    if (!allowPrivate && net.isIP(host) && isPrivateAddress(host)) {
+        throw imageError(`${host} is a private address`);
+    }
+}
+
+/**
+ * Download an image. options: { max_mb, timeout_ms, allow_private }
+ */
+async function fetchImage(url, options) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        throw imageError(`Invalid URL: ${url}`);
+    }
+    checkTarget(parsed.protocol, parsed.hostname, options.allow_private);
+    const maxBytes = options.max_mb * 1024 * 1024;
+    const agentOptions = options.allow_private ? {} : { lookup: publicLookup };
+
+    let response;
+    try {
+        response = await axios.get(url, {
+            responseType: "arraybuffer",
+            timeout: options.timeout_ms,
+            maxContentLength: maxBytes,
+            maxRedirects: 3,
+            httpAgent: new http.Agent(agentOptions),
+            httpsAgent: new https.Agent(agentOptions),
+            // Redirects get the same checks as the URL itself
+            beforeRedirect: (redirect) => checkTarget(redirect.protocol, redirect.hostname, options.allow_private)
+        });
+    } catch (err) {
+        if (err.kind === "image") throw err;
+        if (err.cause?.kind === "image") throw err.cause;
+        if (/maxContentLength/.test(err.message)) throw imageError(`${url} is larger than ${options.max_mb} MB`);
+        throw imageError(`Could not download ${url}: ${err.response ? `HTTP ${err.response.status}` : err.message}`);
+    }
+
+    const contentType = String(response.headers["content-type"] || "");
+    if (!contentType.startsWith("image/")) {
+        throw imageError(`${url} is not an image (${contentType || "no content type"})`);
+    }
+    return checkImage(Buffer.from(response.data), url);
+}
+
+module.exports = {
+    IMAGE_EXTENSIONS,
+    readImageFile,
+    newestImage,
+    watchFolder,
+    readClipboard,
+    findImageUrl,
+    isPrivateAddress,
+    fetchImage
+};
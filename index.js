@@ -1,40 +1,276 @@
 /**
  * Vision Plugin - Final Fixed Version
- * - Non-blocking BMP conversion
+ * - In-process BMP conversion (no Python needed)
  * - External prompt configuration
  * - Both webcam and screenshot trigger AI responses
+ * - Emits "twitch-reward-refund" / "twitch-reward-fulfilled" on exports.events
+ * - Emits "vision-result" with every description (and structured fields when enabled)
+ * - Tracks usage and estimated cost, and stops calling the API once a budget is spent
  */
 
+const { EventEmitter } = require("events");
+
 const screenshot = require("screenshot-desktop");
 const NodeWebcam = require("node-webcam");
-const axios = require("axios");
+const cameraDiscovery = require("./camera_discovery");
+const frameHealth = require("./frame_health");
 const fs = require("fs");
 const path = require("path");
-const { exec } = require("child_process");
+const providers = require("./providers");
+const visionClient = require("./vision_client");
+const { createSentenceChunker } = require("./sentence_chunker");
+const promptTemplates = require("./prompt_templates");
+const structuredOutput = require("./structured_output");
+const settings = require("./config");
+const imageCodec = require("./image_codec");
+const { preprocessImage, crop } = require("./preprocess");
+const { redactImage } = require("./redaction");
+const ocr = require("./ocr");
+const archive = require("./archive");
+const visionContext = require("./vision_context");
+const wakeDetector = require("./wake_detector");
+const perceptualHash = require("./perceptual_hash");
+const burstCapture = require("./burst_capture");
+const imageSources = require("./image_sources");
+const obsClient = require("./obs_client");
+const jobQueue = require("./job_queue");
+const metrics = require("./metrics");
 
 // Global state variables
 let logger = { print: (..._) => {}, warn: (..._) => {}, debug: (..._) => {} };
 let wAIfu = {};
 let webcam = null;
+let selectedCamera = null;   // { device, name } once webcam.camera_name has been looked up
+let cameraHealth = null;     // { ok, device, fallback, problems, time } of the last webcam capture
+const chatRequestTimes = {}; // chat user (lowercase) -> timestamps of their recent requests
+let pendingApproval = null;  // { job, finish(approved) } while a webcam capture waits for !vision-approve
+let folderWatcher = null;     // watcher of image_sources.folder while watch_folder is on
+let obs = null;              // OBS WebSocket client, connects on the first OBS capture
+// Replacements for the capture devices, see exports.setCaptureSource
+const captureSources = { webcam: null, screenshot: null };
 let isProcessingVision = false;
 let lastVisionTimestamp = 0;
-const VISION_COOLDOWN = 10000; // 10 second cooldown
+let VISION_COOLDOWN = 10000; // 10 second cooldown, overridden by config.json
+let CAPTURE_TIMEOUT = 30000; // a capture step taking longer fails the request, overridden by config.json
+let authData = {};
+let configWatcher = null;
+let hotReload = true;
+let wakeMatcher = wakeDetector.createMatcher({});
+
+// Ambient mode state
+let ambientTimer = null;
+let ambientCallTimes = [];   // timestamps of model calls in the last hour
+const ambientHashes = {};    // capture type -> hash of the last analyzed frame
 
 /** @type { string[] } */
 const inputQueue = [];
 
-// Configuration
+// Lets the host react to reward outcomes, e.g. refund a redemption that failed
+const events = new EventEmitter();
+exports.events = events;
+
+const rewardUserTimes = {};  // user name (lowercase) -> last accepted redemption timestamp
+
+let lastResult = null;       // last "vision-result" payload, see getLastResult()
+
+// Job priorities by trigger source, higher runs first
+const PRIORITIES = {
+    command: 3,
+    twitch_reward: 2,
+    wake_phrase: 1,
+    image_url: 1,
+    folder: 1,
+    ambient: 0
+};
+
+const visionQueue = jobQueue.createQueue(runJob, 5);
+
+// Configuration - populated from config.json by applyConfig()
 const WAKE_PHRASES = {
-    WEBCAM: ["look at me", "see me", "check my webcam", "what do you see"],
-    SCREENSHOT: ["look at screen", "see my screen", "check my screen", "what's on screen", "look at my screen"]
+    WEBCAM: [],
+    SCREENSHOT: [],
+    READ: [],     // text-only requests, answered from OCR
+    WATCH_WEBCAM: [],       // burst (multi-frame) requests
+    WATCH_SCREENSHOT: [],
+    REGIONS: {}   // region name -> phrases
+};
+
+const WAKE_CONFIG = {
+    mode: "rules",   // rules, llm
+    fuzzy: true,
+    synonyms: { webcam: {}, screenshot: {} },
+    llm_model: null  // null = vision model
+};
+
+const TWITCH_CONFIG = {
+    rewards: {},                // reward name -> { type, prompt, context, region, display, obs_source }
+    global_cooldown_ms: 0,      // 0 = redemptions just queue up behind each other, null = cooldown_ms
+    user_cooldown_ms: 60000,
+    allow: [],                  // empty = everyone
+    deny: []
+};
+
+const PERMISSIONS_CONFIG = {
+    commands: {},              // command -> everyone, mods or off for untrusted (chat) input, unlisted = operator only
+    wake_phrases: "mods",      // the same for wake phrases and automatic follow-ups in untrusted input
+    image_urls: "mods",        // the same for image URLs in chat messages
+    mods: [],
+    user_limit: 3,             // requests per chat user per window, null = unlimited (mods are exempt)
+    user_window_seconds: 600,
+    approve_webcam: false,     // hold webcam captures for chat and Twitch rewards until !vision-approve
+    approval_timeout_seconds: 30
+};
+
+// Commands handled by this plugin -> the command whose permission applies (aliases share one)
+const COMMAND_PERMISSIONS = {
+    "!webcam": "!webcam",
+    "!look at me": "!webcam",
+    "!see me": "!webcam",
+    "!screenshot": "!screenshot",
+    "!look at screen": "!screenshot",
+    "!look at my screen": "!screenshot",
+    "!watch": "!watch",
+    "!vision-read": "!vision-read",
+    "!vision-file": "!vision-file",
+    "!vision-clipboard": "!vision-clipboard",
+    "!vision-folder": "!vision-folder",
+    "!vision-ask": "!vision-ask",
+    "!vision-profiles": "!vision-profiles",
+    "!vision-wake-test": "!vision-wake-test",
+    "!vision-ambient": "!vision-ambient",
+    "!vision-queue": "!vision-queue",
+    "!vision-approve": "!vision-approve",
+    "!vision-deny": "!vision-deny",
+    "!vision-reload-prompts": "!vision-reload-prompts",
+    "!vision-redact-test": "!vision-redact-test",
+    "!vision-displays": "!vision-displays",
+    "!vision-cameras": "!vision-cameras",
+    "!vision-obs": "!vision-obs",
+    "!vision-stats": "!vision-stats",
+    "!vision-reload-config": "!vision-reload-config",
+    "!vision-test": "!vision-test"
 };
 
+// Longest first, so "!look at my screen" is not taken for a shorter command it starts with
+const COMMAND_NAMES = Object.keys(COMMAND_PERMISSIONS).sort((a, b) => b.length - a.length);
+
 const VISION_CONFIG = {
-    provider: "openai",
+    provider: "openai",   // openai, anthropic, gemini, ollama, openai-compatible
     model: "gpt-4o-mini",
     api_key: null,
-    endpoint: "https://api.openai.com/v1/chat/completions",
-    max_tokens: 500
+    endpoint: null,       // null = provider default
+    max_tokens: 500,
+    detail: "auto",       // low, high, auto (OpenAI-style providers only)
+    timeout_ms: 30000,
+    retries: 2,           // extra attempts for rate limits, 5xx, timeouts and network errors
+    retry_backoff_ms: 1000,
+    max_backoff_ms: 20000,
+    fallback_model: null  // tried once the primary model has failed
+};
+
+const STREAMING_CONFIG = {
+    enabled: false,
+    output: "input",      // input: chunks become responses, memory: chunks only go to memory
+    min_chunk_chars: 40
+};
+
+const OCR_CONFIG = {
+    // Per trigger: off = vision only, attach = add OCR text to the prompt, text = answer from OCR alone
+    modes: { command: "off", wake_phrase: "off", twitch_reward: "off", ambient: "off" },
+    min_confidence: 50,   // below this the OCR result is ignored (text mode falls back to vision)
+    max_chars: 1500,
+    timeout_ms: 30000     // OCR taking longer fails the request with the timeout fallback line
+};
+
+const STRUCTURED_CONFIG = {
+    enabled: false   // ask for JSON (people, emotion, app, text, safety) alongside the description
+};
+
+// In-character lines queued when a request fails, by error kind ({user} = who asked)
+const FALLBACK_LINES = {};
+
+const SCREENSHOT_CONFIG = {
+    display: null,   // index or name, null = primary
+    regions: {}
+};
+
+const OBS_CONFIG = {
+    url: "ws://127.0.0.1:4455",
+    password: null,
+    screenshot: false,     // take screenshots from OBS instead of the desktop
+    source: null,          // scene or source for screenshots, null = the current program scene
+    webcam_source: null,   // source used instead of the webcam, null = the webcam itself
+    image_width: null,     // scaled by OBS before sending, null = the source's own size
+    timeout_ms: 5000
+};
+
+const PRIVACY_CONFIG = {
+    blackout: { webcam: [], screenshot: [], displays: {}, obs_sources: {} },  // in full-frame pixels, before any region crop
+    ocr_mask: false,
+    mask_patterns: ["email", "api_key", "stream_key"],
+    ocr_language: "eng"
+};
+
+const ARCHIVE_CONFIG = {
+    enabled: true,
+    max_age_days: null,   // null = unlimited
+    max_count: null,
+    max_total_mb: null
+};
+
+const FOLLOWUP_CONFIG = {
+    enabled: true,
+    auto: true,           // treat questions about the image shortly after a capture as follow-ups
+    window_seconds: 60,
+    max_images: 1
+};
+
+// Messages starting with these words count as questions for automatic follow-ups
+const QUESTION_WORDS = ["what", "what's", "whats", "which", "who", "whose", "where", "when", "why", "how", "is", "are", "was", "were", "do", "does", "did", "can", "could", "should", "would", "will"];
+
+// ...and one of these words, so questions that aren't about the image still reach the character
+const IMAGE_CUE_WORDS = [
+    "image", "picture", "pic", "photo", "screenshot", "screen", "camera", "webcam", "cam",
+    "see", "saw", "seen", "look", "looks", "looked", "looking", "show", "showed", "shown", "visible",
+    "background", "wearing", "holding", "color", "colour", "colors", "colours"
+];
+
+const AMBIENT_CONFIG = {
+    enabled: false,          // start ambient mode on load
+    sources: ["screenshot"],
+    interval_seconds: 30,
+    change_threshold: 10,    // differing dHash bits (of 64) that count as a new frame
+    max_calls_per_hour: 20
+};
+
+const IMAGE_SOURCES_CONFIG = {
+    max_mb: 20,              // largest file or clipboard image accepted
+    folder: null,            // e.g. the OBS or Steam screenshot folder, for !vision-folder
+    watch_folder: false,     // look at every new image saved to the folder
+    settle_ms: 1000,         // wait until a new file has not changed for this long
+    urls: { enabled: true, max_mb: 5, timeout_ms: 10000, allow_private: false }
+};
+
+const BURST_CONFIG = {
+    frames: 6,               // frames taken per burst, before near-identical ones are dropped
+    default_seconds: 5,
+    max_seconds: 15,
+    dedupe_threshold: 4,     // frames within this many dHash bits of the previous kept frame are dropped
+    max_dimension: 768       // burst frames are scaled down further than single captures
+};
+
+const METRICS_CONFIG = {
+    prices: {},   // model (or model prefix) -> { input, output } in USD per 1M tokens
+    budget: { daily_usd: null, monthly_usd: null }   // null = no cap
+};
+
+const PREPROCESS_CONFIG = {
+    enabled: true,
+    max_dimension: 1568,
+    format: "jpeg",
+    quality: 85,
+    grayscale: false,
+    crop: { webcam: null, screenshot: null }
 };
 
 const webcamOpts = {
@@ -49,68 +285,204 @@ const webcamOpts = {
     verbose: false
 };
 
-// Prompts - will be loaded from files
-let PROMPTS = {
-    webcam_analysis: "Describe what you see in this webcam image. Focus on the person, their appearance, expression, and any notable details. Be concise but descriptive.",
-    screenshot_analysis: "Describe what you see on this screen. Focus on the application, its content, and text. Be concise but descriptive.",
-    webcam_context: "User asked you to look at them through webcam.",
-    screenshot_context: "User asked you to look at his screen."
+// Camera picked by (part of) its name, webcamOpts.device is used when null or not found
+let CAMERA_NAME = null;
+// Tried in order when the camera fails its health checks: camera names or devices
+let FALLBACK_DEVICES = [];
+
+const WEBCAM_HEALTH_CONFIG = {
+    enabled: true,
+    min_width: 160,        // smaller frames count as broken
+    min_height: 120,
+    black_threshold: 8,    // average brightness (0-255) below this is a black frame
+    retries: 1,            // extra captures from the same camera before moving on
+    retry_delay_ms: 500,
+    frozen_check_ms: 300   // gap between the two frames compared for the frozen check, null = no check
+};
+
+const PROMPT_CONFIG = {
+    profile: "default",         // profile used when a request does not name one
+    variables: { game: "" }     // extra {placeholders} available in every template
+};
+
+// Prompt profiles - loaded from prompts/ (default) and prompts/<name>/
+let PROMPT_PROFILES = {
+    default: { ...promptTemplates.DEFAULT_PROMPTS }
 };
 
 /**
- * Load prompts from external files
+ * Load prompt profiles from external files
  */
 function loadPrompts() {
     const promptsDir = path.join(__dirname, "prompts");
     
     if (!fs.existsSync(promptsDir)) {
         logger.print("Vision Plugin: Creating prompts directory with defaults");
-        fs.mkdirSync(promptsDir, { recursive: true });
-        
-        // Create default prompt files
-        fs.writeFileSync(
-            path.join(promptsDir, "webcam_analysis.txt"),
-            PROMPTS.webcam_analysis
-        );
-        fs.writeFileSync(
-            path.join(promptsDir, "screenshot_analysis.txt"),
-            PROMPTS.screenshot_analysis
-        );
-        fs.writeFileSync(
-            path.join(promptsDir, "webcam_context.txt"),
-            PROMPTS.webcam_context
-        );
-        fs.writeFileSync(
-            path.join(promptsDir, "screenshot_context.txt"),
-            PROMPTS.screenshot_context
-        );
-        
+        promptTemplates.writeDefaults(promptsDir);
         logger.print("Vision Plugin: Default prompt files created");
-        return;
     }
     
-    // Load prompts from files
     try {
-        const files = {
-            webcam_analysis: path.join(promptsDir, "webcam_analysis.txt"),
-            screenshot_analysis: path.join(promptsDir, "screenshot_analysis.txt"),
-            webcam_context: path.join(promptsDir, "webcam_context.txt"),
-            screenshot_context: path.join(promptsDir, "screenshot_context.txt")
-        };
-        
-        for (let [key, filepath] of Object.entries(files)) {
-            if (fs.existsSync(filepath)) {
-                PROMPTS[key] = fs.readFileSync(filepath, 'utf8').trim();
-                logger.debug(`Vision Plugin: Loaded prompt: ${key}`);
-            }
+        const { profiles, problems } = promptTemplates.loadProfiles(promptsDir, Object.keys(PROMPT_CONFIG.variables));
+        for (let problem of problems) {
+            logger.warn(`Vision Plugin: Skipped prompt ${problem}`);
         }
+        PROMPT_PROFILES = profiles;
         
-        logger.print("Vision Plugin: Custom prompts loaded");
+        const names = Object.keys(profiles).filter(name => name !== "default");
+        logger.print(`Vision Plugin: Prompts loaded${names.length > 0 ? ` (profiles: ${names.join(", ")})` : ""}`);
     } catch (err) {
         logger.warn("Vision Plugin: Failed to load custom prompts:", err.message);
     }
 }
 
+/**
+ * Get a prompt profile by name, falling back to the configured default
+ */
+function getProfile(name) {
+    if (name && !PROMPT_PROFILES[name]) {
+        logger.warn(`Vision Plugin: Unknown prompt profile "${name}", using default`);
+    }
+    return PROMPT_PROFILES[name] || PROMPT_PROFILES[PROMPT_CONFIG.profile] || PROMPT_PROFILES.default;
+}
+
+/**
+ * Template values for a request
+ */
+function templateValues(job) {
+    return {
+        game: "",
+        ...PROMPT_CONFIG.variables,
+        user: job.userName || "User",
+        source: job.source || "command",
+        time: new Date().toLocaleTimeString(),
+        type: job.type || "",
+        reward: job.reward || "",
+        frames: job.burst ? String(BURST_CONFIG.frames) : "",
+        seconds: job.burst ? String(job.burst.seconds) : ""
+    };
+}
+
+/**
+ * Apply a validated config to the plugin state
+ */
+function applyConfig(config) {
+    WAKE_PHRASES.WEBCAM = config.wake_phrases.webcam.map(p => p.toLowerCase());
+    WAKE_PHRASES.SCREENSHOT = config.wake_phrases.screenshot.map(p => p.toLowerCase());
+    WAKE_PHRASES.READ = config.wake_phrases.read.map(p => p.toLowerCase());
+    WAKE_PHRASES.WATCH_WEBCAM = config.wake_phrases.watch_webcam.map(p => p.toLowerCase());
+    WAKE_PHRASES.WATCH_SCREENSHOT = config.wake_phrases.watch_screenshot.map(p => p.toLowerCase());
+    WAKE_PHRASES.REGIONS = {};
+    for (let [name, region] of Object.entries(config.screenshot.regions)) {
+        WAKE_PHRASES.REGIONS[name] = (region.wake_phrases || []).map(p => p.toLowerCase());
+    }
+    Object.assign(WAKE_CONFIG, config.wake);
+    wakeMatcher = wakeDetector.createMatcher({
+        webcam: WAKE_PHRASES.WEBCAM,
+        screenshot: WAKE_PHRASES.SCREENSHOT,
+        read: WAKE_PHRASES.READ,
+        watch_webcam: WAKE_PHRASES.WATCH_WEBCAM,
+        watch_screenshot: WAKE_PHRASES.WATCH_SCREENSHOT,
+        regions: WAKE_PHRASES.REGIONS
+    }, WAKE_CONFIG.synonyms, WAKE_CONFIG.fuzzy);
+    
+    Object.assign(TWITCH_CONFIG, config.twitch);
+    Object.assign(PERMISSIONS_CONFIG, config.permissions);
+    const knownCommands = Object.values(COMMAND_PERMISSIONS);
+    for (let command of Object.keys(PERMISSIONS_CONFIG.commands).filter(command => !knownCommands.includes(command))) {
+        logger.warn(`Vision Plugin: permissions.commands: unknown command "${command}" (aliases use the command they stand for)`);
+    }
+    
+    Object.assign(VISION_CONFIG, config.vision);
+    Object.assign(FALLBACK_LINES, config.fallback_lines);
+    Object.assign(PROMPT_CONFIG, config.prompts);
+    Object.assign(STREAMING_CONFIG, config.streaming);
+    Object.assign(STRUCTURED_CONFIG, config.structured);
+    Object.assign(OCR_CONFIG, config.ocr);
+    Object.assign(PREPROCESS_CONFIG, config.preprocess);
+    Object.assign(SCREENSHOT_CONFIG, config.screenshot);
+    Object.assign(OBS_CONFIG, config.obs);
+    // The next OBS capture connects with the new address and password
+    closeObs();
+    Object.assign(PRIVACY_CONFIG, config.privacy);
+    Object.assign(ARCHIVE_CONFIG, config.archive);
+    Object.assign(FOLLOWUP_CONFIG, config.followup);
+    Object.assign(AMBIENT_CONFIG, config.ambient);
+    Object.assign(BURST_CONFIG, config.burst);
+    Object.assign(IMAGE_SOURCES_CONFIG, config.image_sources);
+    updateFolderWatcher();
+    Object.assign(METRICS_CONFIG, config.metrics);
+    metrics.configure({ prices: METRICS_CONFIG.prices });
+    visionQueue.setMaxDepth(config.queue.max_depth);
+    if (ambientTimer) {
+        // Pick up a new interval
+        startAmbient();
+    }
+    visionContext.configure({
+        max_images: FOLLOWUP_CONFIG.max_images,
+        ttl_seconds: FOLLOWUP_CONFIG.window_seconds
+    });
+    if (!FOLLOWUP_CONFIG.enabled) {
+        visionContext.clear();
+    }
+    VISION_CONFIG.api_key = providers.resolveApiKey(VISION_CONFIG.provider, authData);
+    
+    const { camera_name, fallback_devices, ...cameraOpts } = config.webcam;
+    Object.assign(webcamOpts, cameraOpts);
+    CAMERA_NAME = camera_name;
+    FALLBACK_DEVICES = fallback_devices;
+    Object.assign(WEBCAM_HEALTH_CONFIG, config.webcam_health);
+    selectedCamera = null;
+    webcam = NodeWebcam.create(webcamOpts);
+    
+    VISION_COOLDOWN = config.cooldown_ms;
+    CAPTURE_TIMEOUT = config.capture_timeout_ms;
+    hotReload = config.hot_reload;
+}
+
+/**
+ * Start or stop watching config.json for changes
+ */
+function updateConfigWatcher(enabled) {
+    if (enabled && !configWatcher) {
+        try {
+            configWatcher = settings.watchConfig(() => {
+                logger.print("Vision Plugin: config.json changed, reloading...");
+                reloadConfig();
+            });
+        } catch (err) {
+            logger.warn("Vision Plugin: Could not watch config.json:", err.message);
+        }
+    } else if (!enabled && configWatcher) {
+        configWatcher.close();
+        configWatcher = null;
+    }
+}
+
+/**
+ * Load config.json and apply it, keeping the current settings if it is invalid
+ */
+function reloadConfig() {
+    try {
+        const { config, created } = settings.loadConfig();
+        applyConfig(config);
+        logger.print(created
+            ? "Vision Plugin: Created config.json with defaults"
+            : "Vision Plugin: Config loaded");
+        
+        if (!VISION_CONFIG.api_key && providers.getProvider(VISION_CONFIG.provider).requiresKey) {
+            logger.warn(`Vision Plugin: No API key found for provider "${VISION_CONFIG.provider}"`);
+        }
+        return true;
+    } catch (err) {
+        logger.warn("Vision Plugin: Failed to load config, keeping current settings:", err.message);
+        return false;
+    } finally {
+        // Keep watching a broken config.json so fixing it is picked up too
+        updateConfigWatcher(hotReload);
+    }
+}
+
 /**
  * Plugin initialization
  */
@@ -118,314 +490,1739 @@ exports.onLoad = (passed_logger, passed_waifu) => {
     logger = passed_logger;
     wAIfu = passed_waifu;
     
-    webcam = NodeWebcam.create(webcamOpts);
-    
     try {
-        const auth = JSON.parse(
+        authData = JSON.parse(
             fs.readFileSync(process.cwd() + "/userdata/auth/auth.json")
         );
-        VISION_CONFIG.api_key = auth.openai?.token || auth.vision_api_key;
-        logger.print("Vision Plugin: Loaded successfully");
-        logger.print("Vision Plugin: Wake phrases enabled for text/speech input");
-        logger.print("Vision Plugin: Manual commands: !webcam, !screenshot");
-        
-        // Load custom prompts
-        loadPrompts();
-        
     } catch (err) {
         logger.warn("Vision Plugin: Failed to load API key:", err);
     }
+    
+    metrics.load();
+    
+    // Defaults first so a broken config.json still leaves the plugin usable
+    applyConfig(settings.DEFAULT_CONFIG);
+    reloadConfig();
+    
+    logger.print("Vision Plugin: Loaded successfully");
+    logger.print("Vision Plugin: Wake phrases enabled for text/speech input");
+    logger.print("Vision Plugin: Manual commands: !webcam, !screenshot, !watch");
+    
+    // Load custom prompts
+    loadPrompts();
+    
+    pruneArchive();
+    
+    if (AMBIENT_CONFIG.enabled) {
+        startAmbient();
+    }
 };
 
 /**
- * Detect wake phrases in message
+ * Detect wake phrases in message with the rule matcher, returns { type, target, phrase, read, watch } or null
  */
 function detectWakePhrase(message) {
-    if (!message) return null;
-    const lower = message.toLowerCase();
+    return wakeMatcher.match(message);
+}
+
+/**
+ * Detect a vision request in message, asking an LLM when intent mode is "llm".
+ * Falls back to the rule matcher when the classifier fails.
+ */
+async function detectWakeIntent(message) {
+    const ruleMatch = detectWakePhrase(message);
+    if (WAKE_CONFIG.mode !== "llm" || !wakeMatcher.mentionsVision(message)) {
+        return ruleMatch;
+    }
     
-    for (let phrase of WAKE_PHRASES.WEBCAM) {
-        if (lower.includes(phrase)) {
-            return "webcam";
-        }
+    const regions = Object.keys(SCREENSHOT_CONFIG.regions);
+    try {
+        const reply = await queryVision(wakeDetector.buildIntentPrompt(message, regions), [], {
+            model: WAKE_CONFIG.llm_model || VISION_CONFIG.model,
+            max_tokens: 10,
+            // The message is held until this returns, so fail fast to the rule matcher
+            retries: 0,
+            fallback_model: null
+        });
+        const intent = wakeDetector.parseIntent(reply, regions);
+        logger.debug(`Vision Plugin: Intent classifier replied "${reply.trim()}"`);
+        return intent ? { ...intent, phrase: "(llm)" } : null;
+    } catch (err) {
+        logger.warn("Vision Plugin: Intent classification failed, using wake phrases:", err.message);
+        return ruleMatch;
+    }
+}
+
+/**
+ * Parse the argument of !screenshot: a display index, a display name, region:<name> or obs:<source>
+ */
+function parseScreenshotTarget(arg) {
+    arg = arg.trim();
+    if (!arg) return {};
+    if (arg.startsWith("region:")) return { region: arg.slice("region:".length).trim() };
+    if (arg.startsWith("obs:")) return { source: arg.slice("obs:".length).trim() };
+    if (/^\d+$/.test(arg)) return { display: parseInt(arg, 10) };
+    return { display: arg };
+}
+
+/**
+ * Pull a profile:<name> argument out of a command, returns { profile, rest }.
+ * profile is null when none was given, undefined (after a warning) when it does not exist.
+ */
+function parseProfileArg(arg) {
+    const tokens = arg.trim().split(/\s+/).filter(Boolean);
+    const index = tokens.findIndex(token => token.startsWith("profile:"));
+    if (index === -1) return { profile: null, rest: arg };
+    
+    const profile = tokens[index].slice("profile:".length);
+    tokens.splice(index, 1);
+    if (!PROMPT_PROFILES[profile]) {
+        logger.warn(`Vision Plugin: Unknown prompt profile "${profile}" (available: ${Object.keys(PROMPT_PROFILES).join(", ")})`);
+        return { profile: undefined, rest: tokens.join(" ") };
+    }
+    return { profile, rest: tokens.join(" ") };
+}
+
+/**
+ * Parse the arguments of !watch: [seconds] [webcam|screen|<screenshot target>], in any order.
+ * Returns { type, target, seconds }, seconds clamped to burst.max_seconds.
+ */
+function parseWatchArgs(arg) {
+    const tokens = arg.trim().split(/\s+/).filter(Boolean);
+    let seconds = BURST_CONFIG.default_seconds;
+    let type = "webcam";
+    let target = {};
+    
+    const index = tokens.findIndex(token => /^\d+(\.\d+)?s?$/.test(token));
+    if (index !== -1) {
+        seconds = parseFloat(tokens[index]);
+        tokens.splice(index, 1);
+    }
+    const rest = tokens.join(" ");
+    if (["screen", "screenshot"].includes(rest)) {
+        type = "screenshot";
+    } else if (rest && !["webcam", "cam"].includes(rest)) {
+        type = "screenshot";
+        target = parseScreenshotTarget(rest);
+    }
+    
+    return { type, target, seconds: Math.min(Math.max(seconds, 1), BURST_CONFIG.max_seconds) };
+}
+
+/**
+ * Resolve a display index or name to a screenshot-desktop screen id
+ */
+async function resolveDisplay(display) {
+    if (display === null || display === undefined) return undefined;
+    
+    const displays = await screenshot.listDisplays();
+    const match = typeof display === "number"
+        ? displays[display]
+        : displays.find(d => String(d.name).toLowerCase().includes(display.toLowerCase()));
+    
+    if (!match) {
+        throw new Error(`Display "${display}" not found (${displays.length} available, see !vision-displays)`);
+    }
+    return match.id;
+}
+
+/**
+ * OBS client for the configured address, created on first use
+ */
+function getObs() {
+    if (!obs) {
+        obs = obsClient.createClient({ url: OBS_CONFIG.url, password: OBS_CONFIG.password, timeout_ms: OBS_CONFIG.timeout_ms });
+    }
+    return obs;
+}
+
+/**
+ * Close the OBS connection, if any
+ */
+function closeObs() {
+    if (obs) {
+        obs.close();
+        obs = null;
     }
+}
+
+/**
+ * PNG screenshot of an OBS scene or source, null = the current program scene
+ */
+async function captureObsSource(source) {
+    const client = getObs();
+    const name = source || await client.getProgramScene();
+    const png = await client.getScreenshot(name, OBS_CONFIG.image_width);
+    logger.debug(`Vision Plugin: OBS screenshot of "${name}"`);
+    return png;
+}
+
+/**
+ * Keep a permanent copy of a capture in the archive
+ */
+function archiveCapture(filename) {
+    if (!ARCHIVE_CONFIG.enabled) return;
     
-    for (let phrase of WAKE_PHRASES.SCREENSHOT) {
-        if (lower.includes(phrase)) {
-            return "screenshot";
+    try {
+        archive.saveCapture(filename);
+    } catch (copyErr) {
+        logger.warn("Vision Plugin: Failed to archive capture:", copyErr.message);
+    }
+}
+
+/**
+ * Record an archived capture's request in its sidecar and enforce retention
+ */
+function archiveRequest(imagePath, metadata) {
+    if (!ARCHIVE_CONFIG.enabled) return;
+    
+    try {
+        archive.writeSidecar(imagePath, metadata);
+    } catch (err) {
+        logger.warn("Vision Plugin: Failed to write sidecar:", err.message);
+    }
+    pruneArchive();
+}
+
+/**
+ * Delete archived captures exceeding the retention policy
+ */
+function pruneArchive() {
+    try {
+        const removed = archive.pruneArchive(ARCHIVE_CONFIG);
+        if (removed > 0) {
+            logger.print(`Vision Plugin: Pruned ${removed} archived capture(s)`);
         }
+    } catch (err) {
+        logger.warn("Vision Plugin: Failed to prune archive:", err.message);
+    }
+}
+
+/**
+ * Mask a capture, write it to temp and keep a permanent copy.
+ * Preview captures and captures with archive: false (e.g. waiting for approval) are only written to temp.
+ * options.frame numbers the frames of a burst, so frames taken close together get their own file.
+ * options.extension is the file extension for images that are not PNG (default "png").
+ * options.blackout replaces the privacy.blackout list for the type (see screenshotBlackout).
+ * options.signal (see limitCapture) aborted means nobody waits for the capture any more, so nothing is written.
+ */
+async function storeCapture(imgBuffer, type, options = {}) {
+    const tempDir = path.join(process.cwd(), "userdata", "temp");
+    if (!fs.existsSync(tempDir)) {
+        fs.mkdirSync(tempDir, { recursive: true });
     }
     
-    return null;
+    const { buffer, masked } = await redactImage(imgBuffer, {
+        ...PRIVACY_CONFIG,
+        blackout: options.blackout ?? PRIVACY_CONFIG.blackout[type],
+        ocr_timeout_ms: OCR_CONFIG.timeout_ms
+    });
+    if (masked > 0) {
+        logger.print(`Vision Plugin: Masked ${masked} area(s) before saving`);
+    }
+    
+    options.signal?.throwIfAborted();
+    
+    const prefix = options.preview ? "redact_preview_" : "";
+    const suffix = options.frame !== undefined ? `_f${options.frame}` : "";
+    const filename = path.join(tempDir, `${prefix}${type}_${Date.now()}${suffix}.${options.extension || "png"}`);
+    fs.writeFileSync(filename, buffer);
+    
+    if (!options.preview) {
+        metrics.recordCapture();
+        saveMetrics();
+    }
+    
+    // Save permanent copy, the sidecar is written once the request finishes
+    if (!options.preview && options.archive !== false) {
+        archiveCapture(filename);
+    }
+    
+    return filename;
 }
 
 /**
- * Capture webcam image and convert BMP to PNG (non-blocking)
+ * Webcam for the configured camera, looking up webcam.camera_name on first use
  */
-async function captureWebcam() {
-    return new Promise((resolve, reject) => {
-        const timestamp = Date.now();
-        const bmpFilename = path.join(process.cwd(), "userdata", "temp", `webcam_${timestamp}.bmp`);
-        
-        const tempDir = path.join(process.cwd(), "userdata", "temp");
-        if (!fs.existsSync(tempDir)) {
-            fs.mkdirSync(tempDir, { recursive: true });
+async function getWebcam() {
+    if (!CAMERA_NAME || selectedCamera) return webcam;
+    
+    let camera = null;
+    try {
+        camera = cameraDiscovery.findCamera(await cameraDiscovery.listCameras(), CAMERA_NAME);
+    } catch (err) {
+        logger.warn("Vision Plugin: Failed to list cameras:", err.message);
+    }
+    
+    if (camera) {
+        logger.print(`Vision Plugin: Using camera "${camera.name}" (device ${camera.device})`);
+        selectedCamera = camera;
+        webcam = NodeWebcam.create({ ...webcamOpts, device: camera.device });
+    } else {
+        // Remembered as well, so a missing camera does not mean listing devices before every capture
+        logger.warn(`Vision Plugin: Camera "${CAMERA_NAME}" not found, using device ${webcamOpts.device} (see !vision-cameras)`);
+        selectedCamera = { device: webcamOpts.device, name: null };
+    }
+    return webcam;
+}
+
+/**
+ * Webcams to try after the configured one, from webcam.fallback_devices.
+ * Entries matching a camera name use that camera, anything else is used as a device.
+ */
+async function getFallbackWebcams() {
+    if (FALLBACK_DEVICES.length === 0) return [];
+    
+    let cameras = [];
+    if (FALLBACK_DEVICES.some(entry => typeof entry === "string")) {
+        try {
+            cameras = await cameraDiscovery.listCameras();
+        } catch (err) {
+            logger.warn("Vision Plugin: Failed to list cameras:", err.message);
         }
-        
-        webcam.capture(bmpFilename, (err, data) => {
+    }
+    return FALLBACK_DEVICES.map(entry => {
+        const camera = typeof entry === "string" ? cameraDiscovery.findCamera(cameras, entry) : null;
+        const device = camera ? camera.device : entry;
+        return { device, webcam: NodeWebcam.create({ ...webcamOpts, device }) };
+    });
+}
+
+/**
+ * Take one frame from a webcam, returns the decoded image (BMP is converted in-process)
+ */
+async function grabWebcamFrame(camera, tempDir) {
+    const bmpFilename = path.join(tempDir, `webcam_${Date.now()}.bmp`);
+    
+    await new Promise((resolve, reject) => {
+        camera.capture(bmpFilename, (err, data) => {
             if (err) {
-                logger.warn("Vision Plugin: Webcam capture failed:", err);
                 reject(err);
                 return;
             }
+            resolve();
+        });
+    });
+    
+    logger.print("Vision Plugin: Webcam captured (BMP), converting to PNG...");
+    
+    try {
+        return imageCodec.decodeBmp(fs.readFileSync(bmpFilename));
+    } finally {
+        // Delete BMP
+        try {
+            fs.unlinkSync(bmpFilename);
+        } catch (e) {
+            // Ignore
+        }
+    }
+}
+
+/**
+ * Capture webcam image and convert BMP to PNG (in-process).
+ * Frames failing the health checks (black, frozen, tiny) are retried, then the fallback
+ * devices are tried; when none works an error of kind "camera" is thrown.
+ */
+async function captureWebcam(options = {}) {
+    const tempDir = path.join(process.cwd(), "userdata", "temp");
+    if (!fs.existsSync(tempDir)) {
+        fs.mkdirSync(tempDir, { recursive: true });
+    }
+    
+    // An OBS source replaces the configured camera, which OBS usually holds anyway
+    let candidates;
+    if (OBS_CONFIG.webcam_source) {
+        candidates = [{ device: `obs:${OBS_CONFIG.webcam_source}`, obsSource: OBS_CONFIG.webcam_source }];
+    } else {
+        const primary = await getWebcam();
+        candidates = [{ device: selectedCamera?.device ?? webcamOpts.device, webcam: primary }];
+    }
+    const problems = [];
+    
+    for (let idx = 0; idx < candidates.length; idx++) {
+        const { device, webcam: camera, obsSource } = candidates[idx];
+        
+        for (let attempt = 0; attempt <= WEBCAM_HEALTH_CONFIG.retries; attempt++) {
+            options.signal?.throwIfAborted();
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, WEBCAM_HEALTH_CONFIG.retry_delay_ms));
+            }
             
-            logger.print("Vision Plugin: Webcam captured (BMP), converting to PNG...");
-            
-            const pngFilename = bmpFilename.replace('.bmp', '.png');
-            const convertScript = path.join(__dirname, 'convert_bmp.py');
+            let problem;
+            let image = null;
+            try {
+                if (captureSources.webcam) {
+                    image = imageCodec.decodeImage(await captureSources.webcam(device));
+                } else if (obsSource) {
+                    image = imageCodec.decodeImage(await captureObsSource(obsSource));
+                } else {
+                    image = await grabWebcamFrame(camera, tempDir);
+                }
+                if (WEBCAM_HEALTH_CONFIG.enabled) {
+                    let check = frameHealth.checkFrame(image, null, WEBCAM_HEALTH_CONFIG);
+                    // A frozen camera repeats the same frame, a live one never does within one attempt.
+                    // Injected sources are fixtures, identical on purpose.
+                    if (!check.problem && !captureSources.webcam && WEBCAM_HEALTH_CONFIG.frozen_check_ms !== null) {
+                        await new Promise(resolve => setTimeout(resolve, WEBCAM_HEALTH_CONFIG.frozen_check_ms));
+                        image = obsSource
+                            ? imageCodec.decodeImage(await captureObsSource(obsSource))
+                            : await grabWebcamFrame(camera, tempDir);
+                        check = frameHealth.checkFrame(image, check.digest, WEBCAM_HEALTH_CONFIG);
+                    }
+                    problem = check.problem && `${check.problem} frame`;
+                }
+            } catch (err) {
+                problem = err.message || String(err);
+            }
             
-            // Use exec (non-blocking) instead of execSync
-            exec(`python "${convertScript}" "${bmpFilename}" "${pngFilename}"`, (error, stdout, stderr) => {
-                if (error) {
-                    logger.warn("Vision Plugin: Conversion failed:", error.message);
-                    reject(error);
-                    return;
+            if (!problem) {
+                cameraHealth = { ok: true, device, fallback: idx > 0, problems, time: Date.now() };
+                if (idx > 0) {
+                    logger.warn(`Vision Plugin: Using fallback camera ${device}`);
                 }
-                
+                const pngBuffer = imageCodec.encodePng(image);
                 logger.print("Vision Plugin: Converted to PNG successfully");
-                
-                // Delete BMP
-                try {
-                    fs.unlinkSync(bmpFilename);
-                } catch (e) {
-                    // Ignore
+                return await storeCapture(pngBuffer, "webcam", options);
+            }
+            
+            problems.push(`${problem} (device ${device})`);
+            logger.warn(`Vision Plugin: Webcam capture failed on device ${device}: ${problem}`);
+        }
+        
+        // Fallbacks are only looked up once the configured camera has failed
+        if (idx === 0) {
+            candidates.push(...await getFallbackWebcams());
+        }
+    }
+    
+    cameraHealth = { ok: false, device: null, fallback: false, problems, time: Date.now() };
+    const err = new Error(`No working camera: ${problems.join(", ")}`);
+    err.kind = "camera";
+    throw err;
+}
+
+/**
+ * Blackout rectangles for a screenshot: the display's or OBS source's own list, else privacy.blackout.screenshot.
+ * The rectangles are full-frame pixels, so with a region they are moved into the cropped image
+ * and the ones outside it are dropped.
+ */
+function screenshotBlackout(key, perTarget, region) {
+    const rects = (key != null && perTarget[String(key)]) || PRIVACY_CONFIG.blackout.screenshot;
+    if (!region) return rects;
+    return rects
+        .map(rect => ({ ...rect, x: rect.x - region.x, y: rect.y - region.y }))
+        .filter(rect => rect.x < region.width && rect.y < region.height && rect.x + rect.width > 0 && rect.y + rect.height > 0);
+}
+
+/**
+ * Capture screenshot of a display, a named region or an OBS scene or source.
+ * With obs.screenshot on (or an OBS source asked for) the desktop is never captured.
+ */
+async function captureScreenshot(target = {}, options = {}) {
+    try {
+        let display = target.display ?? SCREENSHOT_CONFIG.display;
+        let region = null;
+        if (target.region) {
+            region = SCREENSHOT_CONFIG.regions[target.region];
+            if (!region) {
+                throw new Error(`Unknown screenshot region "${target.region}"`);
+            }
+            display = region.display ?? display;
+        }
+        
+        let imgBuffer;
+        let blackout = null;
+        if (captureSources.screenshot) {
+            imgBuffer = imageCodec.encodePng(imageCodec.decodeImage(await captureSources.screenshot(display)));
+            blackout = screenshotBlackout(display, PRIVACY_CONFIG.blackout.displays, region);
+        } else if (target.source || OBS_CONFIG.screenshot) {
+            // Regions are cropped from what OBS sends, displays don't apply
+            const source = target.source || OBS_CONFIG.source;
+            imgBuffer = await captureObsSource(source);
+            blackout = screenshotBlackout(source, PRIVACY_CONFIG.blackout.obs_sources, region);
+        } else {
+            blackout = screenshotBlackout(display, PRIVACY_CONFIG.blackout.displays, region);
+            const screen = await resolveDisplay(display);
+            imgBuffer = await screenshot(screen === undefined ? { format: "png" } : { screen, format: "png" });
+        }
+        
+        // Crop before anything is written so the rest of the screen never touches disk
+        if (region) {
+            imgBuffer = imageCodec.encodePng(crop(imageCodec.decodeImage(imgBuffer), region));
+        }
+        
+        logger.print(`Vision Plugin: Screenshot captured${target.region ? ` (region: ${target.region})` : ""}${target.source ? ` (OBS source: ${target.source})` : ""}`);
+        return await storeCapture(imgBuffer, "screenshot", { ...options, blackout });
+    } catch (err) {
+        logger.warn("Vision Plugin: Screenshot capture failed:", err);
+        throw err;
+    }
+}
+
+/**
+ * Load an image from a file, the clipboard or a URL as a capture of type "image".
+ * target: { file } | { clipboard: true } | { url }
+ */
+async function captureImage(target, options = {}) {
+    const fail = (message) => {
+        const err = new Error(message);
+        err.kind = "image";
+        return err;
+    };
+    
+    let buffer;
+    if (target.url) {
+        logger.print(`Vision Plugin: Downloading ${target.url}`);
+        buffer = await imageSources.fetchImage(target.url, IMAGE_SOURCES_CONFIG.urls);
+    } else if (target.clipboard) {
+        buffer = await imageSources.readClipboard();
+        if (!buffer) throw fail("There is no image on the clipboard");
+    } else {
+        buffer = imageSources.readImageFile(target.file, IMAGE_SOURCES_CONFIG.max_mb * 1024 * 1024);
+    }
+    
+    // GIF and WebP can't be decoded here, so they go out as they are
+    const format = imageCodec.detectFormat(buffer);
+    if (format === "gif" || format === "webp") {
+        if (PRIVACY_CONFIG.ocr_mask) throw fail(`${format.toUpperCase()} images can't be masked, and privacy.ocr_mask is on`);
+        logger.print(`Vision Plugin: Image loaded (${format}, sent without resizing)`);
+        return await storeCapture(buffer, "image", { ...options, extension: format });
+    }
+    
+    let png;
+    try {
+        png = imageCodec.encodePng(imageCodec.decodeImage(buffer));
+    } catch (err) {
+        throw fail(`Could not decode the image: ${err.message}`);
+    }
+    logger.print("Vision Plugin: Image loaded");
+    return await storeCapture(png, "image", options);
+}
+
+/**
+ * Start, restart or stop watching image_sources.folder for new images
+ */
+function updateFolderWatcher() {
+    if (folderWatcher) {
+        folderWatcher.close();
+        folderWatcher = null;
+    }
+    if (!IMAGE_SOURCES_CONFIG.watch_folder || !IMAGE_SOURCES_CONFIG.folder) return;
+    
+    try {
+        folderWatcher = imageSources.watchFolder(IMAGE_SOURCES_CONFIG.folder, IMAGE_SOURCES_CONFIG.settle_ms, onFolderImage);
+        logger.print(`Vision Plugin: Watching ${IMAGE_SOURCES_CONFIG.folder} for new images`);
+    } catch (err) {
+        logger.warn(`Vision Plugin: Could not watch ${IMAGE_SOURCES_CONFIG.folder}:`, err.message);
+    }
+}
+
+/**
+ * Look at an image that was just saved to the watched folder
+ */
+function onFolderImage(file) {
+    const now = Date.now();
+    if (now - lastVisionTimestamp < VISION_COOLDOWN) {
+        logger.debug(`Vision Plugin: Cooldown active, skipping new image ${path.basename(file)}`);
+        return;
+    }
+    lastVisionTimestamp = now;
+    logger.print(`Vision Plugin: New image in watched folder: ${path.basename(file)}`);
+    processVisionRequest("image", "User", { target: { file }, source: "folder" });
+}
+
+/**
+ * Get MIME type from file extension
+ */
+function getMimeType(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    switch (ext) {
+        case ".png":
+            return "image/png";
+        case ".jpg":
+        case ".jpeg":
+            return "image/jpeg";
+        case ".gif":
+            return "image/gif";
+        case ".webp":
+            return "image/webp";
+        default:
+            return "image/png";
+    }
+}
+
+/**
+ * Read an image and run it through the preprocessing pipeline,
+ * overrides replace preprocess settings for this image (e.g. a smaller max_dimension)
+ */
+async function prepareImage(imagePath, type, overrides = {}) {
+    const original = fs.readFileSync(imagePath);
+    // GIF and WebP (from image sources) can't be decoded, they are always sent as they are
+    if (!PREPROCESS_CONFIG.enabled || ["gif", "webp"].includes(imageCodec.detectFormat(original))) {
+        return { buffer: original, mimeType: getMimeType(imagePath) };
+    }
+    
+    try {
+        const result = await preprocessImage(original, {
+            ...PREPROCESS_CONFIG,
+            crop: PREPROCESS_CONFIG.crop[type],
+            ...overrides
+        });
+        
+        const provider = providers.getProvider(VISION_CONFIG.provider);
+        const tokensBefore = provider.estimateTokens(result.sourceWidth, result.sourceHeight, VISION_CONFIG.detail);
+        const tokensAfter = provider.estimateTokens(result.width, result.height, VISION_CONFIG.detail);
+        logger.print(
+            `Vision Plugin: Preprocessed ${result.sourceWidth}x${result.sourceHeight} ${(original.length / 1024).toFixed(2)} KB (~${tokensBefore} tokens)` +
+            ` -> ${result.width}x${result.height} ${(result.buffer.length / 1024).toFixed(2)} KB (~${tokensAfter} tokens)`
+        );
+        
+        return result;
+    } catch (err) {
+        logger.warn("Vision Plugin: Preprocessing failed, sending original image:", err.message);
+        return { buffer: original, mimeType: getMimeType(imagePath) };
+    }
+}
+
+/**
+ * Get the analysis prompt for a capture type, filled in for a request
+ */
+function getAnalysisPrompt(type, job = { type }) {
+    return promptTemplates.render(getProfile(job.profile)[`${type}_analysis`], templateValues(job));
+}
+
+/**
+ * Write the usage counters to disk, a failed write only costs the latest counts
+ */
+function saveMetrics() {
+    try {
+        metrics.save();
+    } catch (err) {
+        logger.warn("Vision Plugin: Failed to save metrics:", err.message);
+    }
+}
+
+/**
+ * Throw an error of kind "budget" when the daily or monthly budget is spent
+ */
+function checkBudget() {
+    const over = metrics.checkBudget(METRICS_CONFIG.budget);
+    if (!over) return;
+    const err = new Error(`${over.period === "day" ? "Daily" : "Monthly"} vision budget of ${formatCost(over.limit)} is spent (${formatCost(over.spent)})`);
+    err.kind = "budget";
+    throw err;
+}
+
+/**
+ * Send a prompt and images to one model and record the call in the metrics.
+ * Returns the text reply or throws a VisionError.
+ */
+async function callModel(config, prompt, images, options = {}) {
+    const started = Date.now();
+    let usage = null;
+    const record = (errorKind) => {
+        const cost = metrics.recordCall({
+            model: config.model,
+            latencyMs: Date.now() - started,
+            imageBytes: images.reduce((total, image) => total + Math.floor(image.base64.length * 3 / 4), 0),
+            usage,
+            errorKind,
+            free: !providers.getProvider(config.provider).requiresKey
+        });
+        saveMetrics();
+        if (cost !== null) logger.debug(`Vision Plugin: ${config.model} call cost ~$${cost.toFixed(5)}`);
+    };
+    
+    try {
+        const result = await sendToModel(config, prompt, images, { ...options, onUsage: (value) => { usage = value; } });
+        record(null);
+        return result;
+    } catch (err) {
+        record(err.kind || "unknown");
+        throw err;
+    }
+}
+
+/**
+ * Send a prompt and images to one model, returns the text reply or throws a VisionError.
+ * With options.onText the reply is streamed and handed over piece by piece as well.
+ * With options.schema the reply is constrained to that JSON Schema where the provider supports it.
+ * options.onUsage(usage) gets the token counts, when the reply has them.
+ */
+async function sendToModel(config, prompt, images, options = {}) {
+    const provider = providers.getProvider(config.provider);
+    const request = provider.buildRequest(config, prompt, images);
+    if (options.schema && provider.structured) {
+        request.body = provider.structured(request.body, options.schema);
+    }
+    const clientOptions = {
+        ...config,
+        signal: options.signal,
+        onRetry: (error, delay, attempt) => {
+            logger.warn(`Vision Plugin: ${config.model} ${error.kind} (${error.message}), retry ${attempt}/${config.retries} in ${(delay / 1000).toFixed(1)}s`);
+        }
+    };
+    
+    if (options.onText && provider.stream) {
+        return visionClient.stream(providers.resolveEndpoint(config, true), provider.stream.body(request.body), request.headers, {
+            ...clientOptions,
+            format: provider.stream.format,
+            parseEvent: provider.stream.parseEvent,
+            onText: options.onText,
+            parseUsage: provider.stream.parseUsage,
+            onUsage: options.onUsage
+        });
+    }
+    
+    const data = await visionClient.post(providers.resolveEndpoint(config), request.body, request.headers, clientOptions);
+    
+    let text;
+    try {
+        text = provider.parseResponse(data);
+    } catch (err) {
+        throw new visionClient.VisionError("unknown", `Unexpected response: ${err.message}`);
+    }
+    const usage = provider.parseUsage(data);
+    if (usage && options.onUsage) options.onUsage(usage);
+    return text;
+}
+
+/**
+ * Send a prompt and images to the configured provider, returns the text reply.
+ * Falls back to vision.fallback_model when the primary model fails (except on auth errors).
+ * Throws an error of kind "budget" without calling the API once metrics.budget is spent.
+ * overrides replace VISION_CONFIG values for this call only (e.g. model, max_tokens).
+ * options: { signal: cancels the call, onText: stream the reply through this callback, schema: JSON Schema for the reply }
+ */
+async function queryVision(prompt, images, overrides = {}, options = {}) {
+    checkBudget();
+    const config = { ...VISION_CONFIG, ...overrides };
+    let streamed = false;
+    const callOptions = {
+        signal: options.signal,
+        schema: options.schema,
+        onText: options.onText && ((text) => {
+            streamed = true;
+            options.onText(text);
+        })
+    };
+    
+    try {
+        const reply = await callModel(config, prompt, images, callOptions);
+        warnIfOverBudget();
+        return reply;
+    } catch (err) {
+        if (err.kind === "cancelled") throw err;
+        logger.warn(`Vision Plugin: Vision API call failed (${err.kind}):`, err.message);
+        
+        // Part of the reply already went out, a second answer would contradict it
+        const fallback = config.fallback_model;
+        if (!fallback || fallback === config.model || err.kind === "auth" || streamed) throw err;
+        
+        logger.print(`Vision Plugin: Retrying with fallback model ${fallback}`);
+        try {
+            const reply = await callModel({ ...config, model: fallback }, prompt, images, callOptions);
+            warnIfOverBudget();
+            return reply;
+        } catch (fallbackErr) {
+            logger.warn(`Vision Plugin: Fallback model failed (${fallbackErr.kind}):`, fallbackErr.message);
+            throw fallbackErr;
+        }
+    }
+}
+
+/**
+ * Log when the call that just finished used up the budget, later calls are refused by checkBudget()
+ */
+function warnIfOverBudget() {
+    const over = metrics.checkBudget(METRICS_CONFIG.budget);
+    if (over) {
+        logger.warn(`Vision Plugin: ${over.period === "day" ? "Daily" : "Monthly"} budget reached (${formatCost(over.spent)} of ${formatCost(over.limit)}), vision is off until it resets`);
+    }
+}
+
+/**
+ * Hold a webcam capture until the streamer types !vision-approve, after reviewing the temp file(s).
+ * Throws an error of kind "denied" on !vision-deny or once permissions.approval_timeout_seconds pass.
+ */
+async function requestApproval(job, imagePaths) {
+    const timeout = PERMISSIONS_CONFIG.approval_timeout_seconds;
+    logger.print(`Vision Plugin: ${job.userName} wants to look through the webcam. Review ${imagePaths.join(", ")}`);
+    logger.print(`Vision Plugin: Type !vision-approve to send it or !vision-deny to drop it (denied in ${timeout}s)`);
+    
+    const approved = await new Promise(resolve => {
+        const finish = (result) => {
+            clearTimeout(timer);
+            job.signal.removeEventListener("abort", onAbort);
+            pendingApproval = null;
+            resolve(result);
+        };
+        const onAbort = () => finish(false);
+        const timer = setTimeout(() => finish(false), timeout * 1000);
+        job.signal.addEventListener("abort", onAbort);
+        pendingApproval = { job, finish };
+    });
+    
+    if (job.signal.aborted) {
+        throw new visionClient.VisionError("cancelled", "Vision request cancelled");
+    }
+    if (!approved) {
+        const err = new Error("Webcam capture was not approved");
+        err.kind = "denied";
+        throw err;
+    }
+    logger.print("Vision Plugin: Webcam capture approved");
+}
+
+/**
+ * Queue an in-character line explaining a failed request, so the character is not left silent
+ */
+function queueFallbackLine(err, job) {
+    if (err.kind === "cancelled") return;
+    const line = FALLBACK_LINES[err.kind] ?? FALLBACK_LINES.default;
+    if (!line) return;
+    inputQueue.push(promptTemplates.render(line, templateValues(job)));
+    logger.print(`Vision Plugin: Queued fallback line for ${err.kind || "unknown"} error`);
+}
+
+/**
+ * Hand a streamed reply to the character in sentence-sized chunks as it arrives.
+ * memoryPrefix starts the first memory entry when chunks go to memory.
+ * Returns null when streaming is off.
+ */
+function createStreamOutput(memoryPrefix) {
+    if (!STREAMING_CONFIG.enabled) return null;
+    
+    let first = true;
+    const chunker = createSentenceChunker((chunk) => {
+        if (STREAMING_CONFIG.output === "memory") {
+            if (wAIfu.state?.memory?.addMemory) {
+                wAIfu.state.memory.addMemory(first ? `[VISION] ${memoryPrefix} ${chunk}` : `[VISION] ${chunk}`);
+            }
+        } else {
+            inputQueue.push(chunk);
+        }
+        first = false;
+        logger.debug("Vision Plugin: Streamed chunk:", chunk.slice(0, 50));
+    }, STREAMING_CONFIG.min_chunk_chars);
+    
+    return {
+        onText: (text) => chunker.push(text),
+        // Not called on failure or cancellation, a half sentence is dropped
+        finish: () => chunker.flush(),
+        toMemory: STREAMING_CONFIG.output === "memory"
+    };
+}
+
+/**
+ * Analyze image with vision model, returns the description, the image as sent and,
+ * in structured mode, the validated fields (null if the reply did not validate).
+ * options: { signal, onText } as for queryVision, onText is ignored in structured mode
+ */
+async function analyzeImage(imagePath, type, prompt = getAnalysisPrompt(type), options = {}) {
+    if (!fs.existsSync(imagePath)) {
+        throw new Error(`Image file not found: ${imagePath}`);
+    }
+    
+    const { buffer, mimeType } = await prepareImage(imagePath, type);
+    const image = {
+        mimeType,
+        base64: buffer.toString('base64')
+    };
+    
+    logger.debug("Vision Plugin: Analyzing image...");
+    logger.debug("  - Provider:", VISION_CONFIG.provider);
+    logger.debug("  - MIME:", image.mimeType);
+    logger.debug("  - Size:", (buffer.length / 1024).toFixed(2), "KB");
+    
+    if (STRUCTURED_CONFIG.enabled) {
+        const reply = await queryVision(structuredOutput.buildPrompt(prompt), [image], {}, {
+            signal: options.signal,
+            schema: structuredOutput.JSON_SCHEMA
+        });
+        const { result, description, errors } = structuredOutput.parseReply(reply);
+        if (!result) {
+            logger.warn("Vision Plugin: Structured reply rejected:", errors.join("; "));
+        }
+        logger.print("Vision Plugin: Image analyzed successfully");
+        logger.print("Vision Plugin: Description:", description.slice(0, 100) + "...");
+        return { description, image, structured: result };
+    }
+    
+    const description = await queryVision(prompt, [image], {}, options);
+    logger.print("Vision Plugin: Image analyzed successfully");
+    logger.print("Vision Plugin: Description:", description.slice(0, 100) + "...");
+    
+    return { description, image, structured: null };
+}
+
+/**
+ * OCR a capture, returns { text, confidence } (text capped at ocr.max_chars),
+ * or null when nothing readable was found or OCR failed. Timeouts are thrown, the request fails.
+ */
+async function readScreenText(imagePath) {
+    try {
+        const { text, confidence } = await ocr.recognize(fs.readFileSync(imagePath), PRIVACY_CONFIG.ocr_language, OCR_CONFIG.timeout_ms);
+        if (!text || confidence < OCR_CONFIG.min_confidence) {
+            logger.debug(`Vision Plugin: OCR found no usable text (confidence ${Math.round(confidence)})`);
+            return null;
+        }
+        const capped = text.length > OCR_CONFIG.max_chars ? `${text.slice(0, OCR_CONFIG.max_chars)}...` : text;
+        return { text: capped, confidence };
+    } catch (err) {
+        if (err.kind === "timeout") throw err;
+        logger.warn("Vision Plugin: OCR failed:", err.message);
+        return null;
+    }
+}
+
+/**
+ * Add OCR text to an analysis prompt, helps the model with small fonts
+ */
+function attachScreenText(prompt, text) {
+    return `${prompt}\n\nText read from the screen by OCR (may contain recognition errors):\n${text}`;
+}
+
+/**
+ * Encode a capture the way it would be sent, for follow-ups on requests that never reached the model
+ */
+async function encodeForContext(imagePath, type) {
+    const { buffer, mimeType } = await prepareImage(imagePath, type);
+    return { mimeType, base64: buffer.toString("base64") };
+}
+
+/**
+ * Share a finished analysis with the host and other plugins
+ */
+function publishResult(job, description, structured) {
+    lastResult = {
+        type: job.type,
+        source: job.source,
+        user: job.userName || null,
+        description,
+        structured,
+        timestamp: new Date().toISOString()
+    };
+    events.emit("vision-result", lastResult);
+}
+
+/**
+ * Run a job taken off the vision queue
+ */
+async function runJob(job) {
+    isProcessingVision = true;
+    try {
+        switch (job.kind) {
+            case "followup":
+                return await runFollowUp(job);
+            case "ambient":
+                return await runAmbientTick(job);
+            case "burst":
+                return await runBurstRequest(job);
+            default:
+                return await runVisionRequest(job);
+        }
+    } finally {
+        isProcessingVision = false;
+    }
+}
+
+/**
+ * Put a job on the vision queue, returns { job, done } where done resolves with
+ * its result (null if it failed or was dropped)
+ */
+function enqueueJob(data) {
+    const { job, done } = visionQueue.enqueue({
+        ...data,
+        priority: PRIORITIES[data.source] ?? 0
+    });
+    
+    if (job.status === "dropped") {
+        logger.warn(`Vision Plugin: Queue full, dropped ${job.label}`);
+    } else if (job.status === "queued") {
+        const position = visionQueue.status().pending.indexOf(job) + 1;
+        logger.print(`Vision Plugin: Queued ${job.label} (job #${job.id}, position ${position})`);
+    }
+    return { job, done };
+}
+
+/**
+ * Queue a vision request, returns { job, done }
+ * options: {
+ *   target: display/region for screenshots, { file } / { clipboard: true } / { url } for images,
+ *   source: what triggered the request,
+ *   ocr: "off", "attach" or "text" for screenshots (null = ocr.modes for the source),
+ *   profile: prompt profile name (null = prompts.profile),
+ *   prompt: analysis prompt template override,
+ *   context: memory context template override,
+ *   reward: Twitch reward name, available to templates as {reward},
+ *   burst: { seconds } to watch for that long and send several frames instead of one (OCR does not apply),
+ *   approval: hold a webcam capture until the streamer approves it (see requestApproval)
+ * }
+ */
+function processVisionRequest(type, userName, options = {}) {
+    const { target = {}, source = "command", ocr = null, profile = null, prompt = null, context = null, reward = null, burst = null } = options;
+    const approval = Boolean(options.approval) && type === "webcam";
+    userName = userName || "User";
+    return enqueueJob({
+        kind: burst ? "burst" : "vision",
+        type, userName, target, source, ocr, profile, prompt, context, reward, burst, approval,
+        label: burst ? `${type} burst (${burst.seconds}s) from ${userName}` : `${type} request from ${userName}`
+    });
+}
+
+/**
+ * Run a capture step of a job: capture(signal) is given a signal that aborts when the job is cancelled
+ * or after capture_timeout_ms, and the job stops waiting right then, even if the device never answers
+ */
+async function limitCapture(jobSignal, capture) {
+    const controller = new AbortController();
+    let timer;
+    let onJobAbort;
+    const stopped = new Promise((resolve, reject) => {
+        const stop = (err) => {
+            controller.abort(err);
+            reject(err);
+        };
+        timer = setTimeout(() => stop(new visionClient.VisionError("timeout", `Capture took longer than ${CAPTURE_TIMEOUT / 1000}s`)), CAPTURE_TIMEOUT);
+        onJobAbort = () => stop(new visionClient.VisionError("cancelled", "Vision request cancelled"));
+        if (jobSignal.aborted) onJobAbort();
+        jobSignal.addEventListener("abort", onJobAbort);
+    });
+    try {
+        return await Promise.race([capture(controller.signal), stopped]);
+    } finally {
+        clearTimeout(timer);
+        jobSignal.removeEventListener("abort", onJobAbort);
+    }
+}
+
+/**
+ * Capture and analyze an image, then hand the description to the character
+ */
+async function runVisionRequest(job) {
+    const { type, userName, target, source } = job;
+    const profile = getProfile(job.profile);
+    const values = templateValues(job);
+    const prompt = promptTemplates.render(job.prompt || profile[`${type}_analysis`], values);
+    
+    wAIfu.state.prevent_ext_input = true;
+    
+    let imagePath = null;
+    const metadata = {
+        type,
+        source,
+        user: userName,
+        provider: VISION_CONFIG.provider,
+        model: VISION_CONFIG.model,
+        prompt,
+        timestamp: new Date().toISOString()
+    };
+    
+    if (type === "image") {
+        metadata.image = target.url || target.file || "clipboard";
+    }
+    
+    try {
+        logger.print(`Vision Plugin: Processing ${type} request from ${userName}...`);
+        
+        // Capture image, a capture waiting for approval is only archived once approved
+        imagePath = await limitCapture(job.signal, (signal) => {
+            const captureOptions = { archive: !job.approval, signal };
+            return type === "webcam"
+                ? captureWebcam(captureOptions)
+                : type === "image"
+                    ? captureImage(target, captureOptions)
+                    : captureScreenshot(target, captureOptions);
+        });
+        if (job.approval) {
+            await requestApproval(job, [imagePath]);
+            archiveCapture(imagePath);
+        }
+        
+        // Context template from the request or the profile, rewards also say what was redeemed
+        const contextTemplate = job.context
+            ? promptTemplates.withDescription(job.context)
+            : `${job.reward ? '{user} redeemed "{reward}". ' : ""}${profile[`${type}_context`]}`;
+        
+        // Read the screen locally first when OCR is on for this trigger
+        const ocrMode = type === "screenshot" ? job.ocr || OCR_CONFIG.modes[source] || "off" : "off";
+        const reading = ocrMode === "off" ? null : await readScreenText(imagePath);
+        if (ocrMode !== "off") {
+            metadata.ocr = { mode: ocrMode, chars: reading?.text.length ?? 0, confidence: reading?.confidence ?? null };
+        }
+        
+        let result;
+        let stream = null;
+        if (ocrMode === "text" && reading) {
+            // Text is all that was asked for, skip the vision model
+            result = {
+                description: `On the screen you can read: "${reading.text}"`,
+                image: await encodeForContext(imagePath, type),
+                structured: null
+            };
+            metadata.model = "ocr";
+            logger.print(`Vision Plugin: Answered from OCR (${reading.text.length} characters)`);
+        } else {
+            if (ocrMode === "text") {
+                logger.print("Vision Plugin: Nothing readable found, asking the vision model");
+            }
+            const fullPrompt = reading ? attachScreenText(prompt, reading.text) : prompt;
+            metadata.prompt = fullPrompt;
+            
+            // Analyze image, streaming the reply out as it arrives when enabled (a JSON reply can't be spoken as it arrives)
+            stream = STRUCTURED_CONFIG.enabled
+                ? null
+                : createStreamOutput(promptTemplates.render(contextTemplate, { ...values, description: "" }).trim());
+            result = await analyzeImage(imagePath, type, fullPrompt, {
+                signal: job.signal,
+                onText: stream?.onText
+            });
+        }
+        const { description, image, structured } = result;
+        metadata.description = description;
+        if (STRUCTURED_CONFIG.enabled) {
+            metadata.structured = structured;
+        }
+        publishResult(job, description, structured);
+        
+        // Keep the image around for follow-up questions
+        if (FOLLOWUP_CONFIG.enabled) {
+            visionContext.remember(image, type, description);
+        }
+        
+        // Create context message for AI memory
+        const contextMessage = `[VISION] ${promptTemplates.render(contextTemplate, { ...values, description })}`;
+        
+        if (stream) {
+            stream.finish();
+        }
+        
+        // Add to AI memory, unless the streamed chunks already went there
+        if (!stream?.toMemory && wAIfu.state?.memory?.addMemory) {
+            wAIfu.state.memory.addMemory(contextMessage);
+            logger.print("Vision Plugin: Context added to memory");
+        }
+        
+        // Queue response command to make AI respond immediately
+        if (!stream) {
+            inputQueue.push(`${description}`);
+            logger.print("Vision Plugin: Response queued");
+        }
+        
+        logger.print("Vision Plugin: Vision request completed");
+        
+        return description;
+        
+    } catch (err) {
+        // Anything thrown before there is an image to analyze is a capture failure
+        err.kind = err.kind || (imagePath ? "unknown" : "capture");
+        logger.warn(`Vision Plugin: Vision processing failed (${err.kind}):`, err.message);
+        metadata.error = err.message;
+        metadata.error_kind = err.kind;
+        job.error = err.message;
+        job.errorKind = err.kind;
+        queueFallbackLine(err, job);
+        return null;
+        
+    } finally {
+        wAIfu.state.prevent_ext_input = false;
+        
+        if (imagePath) {
+            archiveRequest(imagePath, metadata);
+            
+            // Clean up temp file, the archive keeps its own copy (a denied capture never got one)
+            try {
+                fs.unlinkSync(imagePath);
+                logger.debug("Vision Plugin: Temp file deleted");
+            } catch (err) {
+                // Ignore
+            }
+        }
+    }
+}
+
+/**
+ * Wait for ms, returns early once signal is aborted
+ */
+function waitFor(ms, signal) {
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            signal.removeEventListener("abort", done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        signal.addEventListener("abort", done);
+    });
+}
+
+/**
+ * Capture a burst of frames over job.burst.seconds, drop the near-identical ones and
+ * have the model describe what happened across them, then hand that to the character
+ */
+async function runBurstRequest(job) {
+    const { type, userName, target, source } = job;
+    const { seconds } = job.burst;
+    const profile = getProfile(job.profile);
+    const schedule = burstCapture.frameSchedule(BURST_CONFIG.frames, seconds);
+    
+    wAIfu.state.prevent_ext_input = true;
+    
+    const frames = [];   // { path, offset, hash } in capture order
+    let kept = [];
+    let images = null;
+    const metadata = {
+        type,
+        source,
+        user: userName,
+        provider: VISION_CONFIG.provider,
+        model: VISION_CONFIG.model,
+        burst: { seconds, captured: 0, offsets_ms: [] },
+        timestamp: new Date().toISOString()
+    };
+    
+    try {
+        logger.print(`Vision Plugin: Watching ${type} for ${seconds}s (${schedule.length} frames) for ${userName}...`);
+        
+        const start = Date.now();
+        for (let [idx, offset] of schedule.entries()) {
+            await waitFor(start + offset - Date.now(), job.signal);
+            if (job.signal.aborted) {
+                throw new visionClient.VisionError("cancelled", "Vision request cancelled");
+            }
+            const capturedAt = Date.now() - start;
+            const framePath = await limitCapture(job.signal, (signal) => type === "webcam"
+                ? captureWebcam({ archive: false, frame: idx, signal })
+                : captureScreenshot(target, { archive: false, frame: idx, signal }));
+            frames.push({ path: framePath, offset: capturedAt, hash: perceptualHash.hashBuffer(fs.readFileSync(framePath)) });
+        }
+        
+        // A still scene does not need six copies of the same image
+        const selection = burstCapture.selectFrames(frames, BURST_CONFIG.dedupe_threshold);
+        kept = selection.kept;
+        metadata.burst.captured = frames.length;
+        metadata.burst.offsets_ms = kept.map(frame => frame.offset);
+        logger.print(`Vision Plugin: Kept ${kept.length} of ${frames.length} frames (${selection.dropped.length} near-identical)`);
+        
+        if (job.approval) {
+            await requestApproval(job, kept.map(frame => frame.path));
+        }
+        
+        kept.forEach(frame => archiveCapture(frame.path));
+        
+        const maxDimension = Math.min(PREPROCESS_CONFIG.max_dimension, BURST_CONFIG.max_dimension);
+        images = await Promise.all(kept.map(async frame => {
+            const { buffer, mimeType } = await prepareImage(frame.path, type, { max_dimension: maxDimension });
+            return { mimeType, base64: buffer.toString("base64") };
+        }));
+        
+        const values = { ...templateValues(job), frames: String(kept.length) };
+        const prompt = burstCapture.buildPrompt(
+            promptTemplates.render(job.prompt || profile[`${type}_burst`], values),
+            kept.map(frame => frame.offset)
+        );
+        metadata.prompt = prompt;
+        
+        const contextTemplate = job.context
+            ? promptTemplates.withDescription(job.context)
+            : `${job.reward ? '{user} redeemed "{reward}". ' : ""}${profile[`${type}_context`]}`;
+        const stream = createStreamOutput(promptTemplates.render(contextTemplate, { ...values, description: "" }).trim());
+        
+        const description = await queryVision(prompt, images, {}, {
+            signal: job.signal,
+            onText: stream?.onText
+        });
+        logger.print("Vision Plugin: Burst analyzed successfully");
+        logger.print("Vision Plugin: Description:", description.slice(0, 100) + "...");
+        metadata.description = description;
+        publishResult(job, description, null);
+        
+        // Follow-ups ask about how things ended up, so the last frame is kept
+        if (FOLLOWUP_CONFIG.enabled) {
+            visionContext.remember(images[images.length - 1], type, description);
+        }
+        
+        if (stream) {
+            stream.finish();
+        }
+        
+        if (!stream?.toMemory && wAIfu.state?.memory?.addMemory) {
+            wAIfu.state.memory.addMemory(`[VISION] ${promptTemplates.render(contextTemplate, { ...values, description })}`);
+            logger.print("Vision Plugin: Context added to memory");
+        }
+        
+        if (!stream) {
+            inputQueue.push(`${description}`);
+            logger.print("Vision Plugin: Response queued");
+        }
+        
+        logger.print("Vision Plugin: Burst request completed");
+        
+        return description;
+        
+    } catch (err) {
+        err.kind = err.kind || (images ? "unknown" : "capture");
+        logger.warn(`Vision Plugin: Burst processing failed (${err.kind}):`, err.message);
+        metadata.error = err.message;
+        metadata.error_kind = err.kind;
+        job.error = err.message;
+        job.errorKind = err.kind;
+        queueFallbackLine(err, job);
+        return null;
+        
+    } finally {
+        wAIfu.state.prevent_ext_input = false;
+        
+        kept.forEach((frame, idx) => archiveRequest(frame.path, { ...metadata, frame: idx + 1, frames: kept.length }));
+        
+        // Clean up every frame, the archive keeps its own copies of the kept ones
+        for (let frame of frames) {
+            try {
+                fs.unlinkSync(frame.path);
+            } catch (err) {
+                // Ignore
+            }
+        }
+    }
+}
+
+/**
+ * Capture one ambient frame per source and describe the ones that changed.
+ * Descriptions only go to memory, the character is not made to respond.
+ */
+async function runAmbientTick(job) {
+    for (let type of AMBIENT_CONFIG.sources) {
+        let imagePath = null;
+        try {
+            imagePath = await limitCapture(job.signal, (signal) => type === "webcam"
+                ? captureWebcam({ archive: false, signal })
+                : captureScreenshot({}, { archive: false, signal }));
+            
+            const hash = perceptualHash.hashBuffer(fs.readFileSync(imagePath));
+            const previous = ambientHashes[type];
+            const distance = previous === undefined ? 64 : perceptualHash.hammingDistance(previous, hash);
+            if (distance < AMBIENT_CONFIG.change_threshold) {
+                logger.debug(`Vision Plugin: Ambient ${type} unchanged (distance ${distance})`);
+                continue;
+            }
+            
+            const ocrMode = type === "screenshot" ? OCR_CONFIG.modes.ambient : "off";
+            const reading = ocrMode === "off" ? null : await readScreenText(imagePath);
+            
+            let description;
+            let structured = null;
+            if (ocrMode === "text" && reading) {
+                // Read locally, costs nothing against the hourly budget
+                description = `the screen reads: "${reading.text}"`;
+            } else {
+                const now = Date.now();
+                ambientCallTimes = ambientCallTimes.filter(t => now - t < 60 * 60 * 1000);
+                if (ambientCallTimes.length >= AMBIENT_CONFIG.max_calls_per_hour) {
+                    logger.debug("Vision Plugin: Ambient hourly budget used up, skipping");
+                    continue;
+                }
+                if (metrics.checkBudget(METRICS_CONFIG.budget)) {
+                    logger.debug("Vision Plugin: Vision budget spent, skipping ambient frame");
+                    continue;
                 }
+                ambientCallTimes.push(now);
                 
-                // Save permanent copy
+                const prompt = getAnalysisPrompt(type, { type, source: "ambient" });
+                ({ description, structured } = await analyzeImage(imagePath, type, reading ? attachScreenText(prompt, reading.text) : prompt));
+            }
+            ambientHashes[type] = hash;
+            publishResult({ type, source: "ambient" }, description, structured);
+            
+            if (wAIfu.state?.memory?.addMemory) {
+                const where = type === "webcam" ? "through the webcam" : "on the screen";
+                wAIfu.state.memory.addMemory(`[VISION] (ambient) Glancing ${where}, you notice: ${description}`);
+                logger.print(`Vision Plugin: Ambient ${type} description added to memory`);
+            }
+        } catch (err) {
+            logger.warn(`Vision Plugin: Ambient ${type} capture failed:`, err.message);
+        } finally {
+            if (imagePath) {
                 try {
-                    const permanentDir = path.join(process.cwd(), "userdata", "saved");
-                    if (!fs.existsSync(permanentDir)) {
-                        fs.mkdirSync(permanentDir, { recursive: true });
-                    }
-                    fs.copyFileSync(pngFilename, path.join(permanentDir, path.basename(pngFilename)));
-                } catch (copyErr) {
+                    fs.unlinkSync(imagePath);
+                } catch (e) {
                     // Ignore
                 }
-                
-                resolve(pngFilename);
-            });
-        });
-    });
+            }
+        }
+    }
+    return true;
 }
 
 /**
- * Capture screenshot
+ * Start (or restart) ambient mode
  */
-async function captureScreenshot() {
-    const timestamp = Date.now();
-    const filename = path.join(process.cwd(), "userdata", "temp", `screenshot_${timestamp}.png`);
-    
-    const tempDir = path.join(process.cwd(), "userdata", "temp");
-    if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-    }
-    
-    try {
-        const imgBuffer = await screenshot();
-        fs.writeFileSync(filename, imgBuffer);
-        logger.print("Vision Plugin: Screenshot captured");
-        
-        // Save permanent copy
-        try {
-            const permanentDir = path.join(process.cwd(), "userdata", "saved");
-            if (!fs.existsSync(permanentDir)) {
-                fs.mkdirSync(permanentDir, { recursive: true });
-            }
-            fs.copyFileSync(filename, path.join(permanentDir, path.basename(filename)));
-        } catch (copyErr) {
-            // Ignore
+function startAmbient() {
+    stopAmbient();
+    ambientTimer = setInterval(() => {
+        // Ambient frames are the least important work, never let them pile up
+        if (visionQueue.isBusy()) {
+            logger.debug("Vision Plugin: Ambient tick skipped, vision queue busy");
+            return;
         }
-        
-        return filename;
-    } catch (err) {
-        logger.warn("Vision Plugin: Screenshot capture failed:", err);
-        throw err;
-    }
+        enqueueJob({ kind: "ambient", source: "ambient", label: "ambient" });
+    }, AMBIENT_CONFIG.interval_seconds * 1000);
+    logger.print(`Vision Plugin: Ambient mode started (${AMBIENT_CONFIG.sources.join(", ")} every ${AMBIENT_CONFIG.interval_seconds}s)`);
 }
 
 /**
- * Get MIME type from file extension
+ * Stop ambient mode
  */
-function getMimeType(filePath) {
-    const ext = path.extname(filePath).toLowerCase();
-    switch (ext) {
-        case ".png":
-            return "image/png";
-        case ".jpg":
-        case ".jpeg":
-            return "image/jpeg";
-        case ".gif":
-            return "image/gif";
-        case ".webp":
-            return "image/webp";
-        default:
-            return "image/png";
-    }
+function stopAmbient() {
+    if (!ambientTimer) return;
+    clearInterval(ambientTimer);
+    ambientTimer = null;
+    logger.print("Vision Plugin: Ambient mode stopped");
 }
 
 /**
- * Analyze image with vision model
+ * Check whether a message reads like a question
  */
-async function analyzeImage(imagePath, type) {
-    try {
-        if (!fs.existsSync(imagePath)) {
-            throw new Error(`Image file not found: ${imagePath}`);
-        }
-        
-        const buffer = fs.readFileSync(imagePath);
-        const base64Image = buffer.toString('base64');
-        const mimeType = getMimeType(imagePath);
-        const imageUrl = `data:${mimeType};base64,${base64Image}`;
-        
-        logger.debug("Vision Plugin: Analyzing image...");
-        logger.debug("  - MIME:", mimeType);
-        logger.debug("  - Size:", (buffer.length / 1024).toFixed(2), "KB");
-        
-        // Use prompt from config
-        const prompt = type === "webcam" 
-            ? PROMPTS.webcam_analysis
-            : PROMPTS.screenshot_analysis;
-        
-        const response = await axios.post(
-            VISION_CONFIG.endpoint,
-            {
-                model: VISION_CONFIG.model,
-                messages: [
-                    {
-                        role: "user",
-                        content: [
-                            { type: "text", text: prompt },
-                            {
-                                type: "image_url",
-                                image_url: { url: imageUrl }
-                            }
-                        ]
-                    }
-                ],
-                max_tokens: VISION_CONFIG.max_tokens
-            },
-            {
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${VISION_CONFIG.api_key}`
-                }
-            }
-        );
-        
-        const description = response.data.choices[0].message.content;
-        logger.print("Vision Plugin: Image analyzed successfully");
-        logger.print("Vision Plugin: Description:", description.slice(0, 100) + "...");
-        
-        // Clean up temp file
-        try {
-            fs.unlinkSync(imagePath);
-            logger.debug("Vision Plugin: Temp file deleted");
-        } catch (err) {
-            // Ignore
-        }
-        
-        return description;
-        
-    } catch (err) {
-        logger.warn("Vision Plugin: Vision API call failed:", err.message);
-        if (err.response) {
-            logger.warn("Vision Plugin: API Error:", JSON.stringify(err.response.data, null, 2));
-        }
-        throw err;
-    }
+function isQuestion(message) {
+    const text = message.trim().toLowerCase();
+    if (text.endsWith("?")) return true;
+    const firstWord = text.split(/\s+/)[0].replace(/[^a-z']/g, "");
+    return QUESTION_WORDS.includes(firstWord);
 }
 
 /**
- * Process vision request
+ * Check whether a message mentions the image or what can be seen in it
  */
-async function processVisionRequest(type, userName) {
-    if (!userName) {
-        userName = "User";
-    }
+function refersToImage(message) {
+    const words = message.toLowerCase().split(/[^a-z']+/);
+    return words.some(word => IMAGE_CUE_WORDS.includes(word));
+}
+
+/**
+ * Queue a question about the recently captured image(s)
+ */
+function processFollowUp(question, userName, options = {}) {
+    const { source = "command" } = options;
+    userName = userName || "User";
+    return enqueueJob({ kind: "followup", question, userName, source, label: `follow-up from ${userName}` }).done;
+}
+
+/**
+ * Answer a question about the recently captured image(s) without a new capture
+ */
+async function runFollowUp(job) {
+    const { question, userName } = job;
     
-    if (isProcessingVision) {
-        logger.warn("Vision Plugin: Already processing a vision request");
+    // Checked when the job runs, a capture queued before it may have refreshed the context
+    const recent = visionContext.getRecent();
+    if (recent.length === 0) {
+        logger.print("Vision Plugin: No recent image to ask about");
         return null;
     }
     
-    isProcessingVision = true;
     wAIfu.state.prevent_ext_input = true;
     
     try {
-        logger.print(`Vision Plugin: Processing ${type} request from ${userName}...`);
+        logger.print(`Vision Plugin: Follow-up from ${userName}: "${question.slice(0, 50)}"`);
         
-        // Capture image
-        const imagePath = type === "webcam" 
-            ? await captureWebcam() 
-            : await captureScreenshot();
-        
-        // Analyze image
-        const description = await analyzeImage(imagePath, type);
-        
-        // Get context from prompts
-        const contextPrefix = type === "webcam"
-            ? PROMPTS.webcam_context
-            : PROMPTS.screenshot_context;
+        const memoryPrefix = `${userName} asked about what you saw: "${question}". Looking again, you see:`;
+        const stream = createStreamOutput(memoryPrefix);
+        const prompt = visionContext.buildFollowUpPrompt(recent, question);
+        const answer = await queryVision(prompt, recent.map(entry => entry.image), {}, {
+            signal: job.signal,
+            onText: stream?.onText
+        });
+        visionContext.addExchange(question, answer);
+        logger.print("Vision Plugin: Follow-up answer:", answer.slice(0, 100) + "...");
         
-        // Create context message for AI memory
-        const contextMessage = `[VISION] ${contextPrefix} What you see: ${description}`;
+        if (stream) {
+            stream.finish();
+        }
         
-        // Add to AI memory
-        if (wAIfu.state?.memory?.addMemory) {
-            wAIfu.state.memory.addMemory(contextMessage);
+        if (!stream?.toMemory && wAIfu.state?.memory?.addMemory) {
+            wAIfu.state.memory.addMemory(`[VISION] ${memoryPrefix} ${answer}`);
             logger.print("Vision Plugin: Context added to memory");
         }
         
-        // Queue response command to make AI respond immediately
-        inputQueue.push(`${description}`);
-        logger.print("Vision Plugin: Response queued");
-        
-        logger.print("Vision Plugin: Vision request completed");
+        if (!stream) {
+            inputQueue.push(`${answer}`);
+            logger.print("Vision Plugin: Response queued");
+        }
         
-        return description;
+        return answer;
         
     } catch (err) {
-        logger.warn("Vision Plugin: Vision processing failed:", err.message);
+        logger.warn("Vision Plugin: Follow-up failed:", err.message);
+        queueFallbackLine(err, job);
         return null;
         
     } finally {
-        isProcessingVision = false;
         wAIfu.state.prevent_ext_input = false;
     }
 }
 
 /**
- * Command handler with wake phrase detection
+ * Check whether a chat user may use something allowed for `level` (everyone, mods, off),
+ * returns the reason for refusing or null. Allowed requests count against the user's rate limit,
+ * unless count is false (a check before knowing whether there is a request at all).
+ */
+function checkChatAccess(level, userName, now, count = true) {
+    const user = userName.toLowerCase();
+    const isMod = PERMISSIONS_CONFIG.mods.some(name => name.toLowerCase() === user);
+    
+    if (level === "off") return "not allowed from chat";
+    if (level === "mods" && !isMod) return "mods only";
+    if (isMod || PERMISSIONS_CONFIG.user_limit === null) return null;
+    
+    const windowMs = PERMISSIONS_CONFIG.user_window_seconds * 1000;
+    const recent = (chatRequestTimes[user] || []).filter(t => now - t < windowMs);
+    chatRequestTimes[user] = recent;
+    if (recent.length >= PERMISSIONS_CONFIG.user_limit) return "rate limited";
+    if (count) recent.push(now);
+    return null;
+}
+
+/**
+ * Apply permissions to something a chat user asked for, logging refusals
+ */
+function allowChatRequest(level, what, userName) {
+    const refusal = checkChatAccess(level, userName, Date.now());
+    if (refusal) {
+        logger.print(`Vision Plugin: Ignored ${what} from ${userName} (${refusal})`);
+    }
+    return !refusal;
+}
+
+/**
+ * Wait for a queued request to finish, unless it waits for approval: the host would not
+ * handle the !vision-approve it needs while the command that queued it is still running
+ */
+async function waitForRequest({ job, done }) {
+    if (job.approval) return;
+    await done;
+}
+
+/**
+ * Format a cost in USD, with more digits for the fractions of a cent single calls cost
+ */
+function formatCost(usd) {
+    return `$${usd.toFixed(usd < 1 ? 4 : 2)}`;
+}
+
+/**
+ * One line of call, token and cost totals
+ */
+function describeTotals(totals) {
+    const unpriced = totals.unpriced_calls > 0 ? ` (+${totals.unpriced_calls} unpriced call(s))` : "";
+    return `${totals.calls} call(s), ${totals.failures} failed, ${totals.prompt_tokens} in / ${totals.completion_tokens} out tokens, ${formatCost(totals.cost)}${unpriced}`;
+}
+
+/**
+ * Print session, daily and monthly usage for !vision-stats
+ */
+function printStats() {
+    const session = metrics.sessionStats();
+    const today = metrics.periodTotals("day");
+    const month = metrics.periodTotals("month");
+    const { daily_usd, monthly_usd } = METRICS_CONFIG.budget;
+    const seconds = (ms) => ms === null ? "-" : `${(ms / 1000).toFixed(1)}s`;
+    
+    logger.print("=".repeat(50));
+    logger.print(`Vision Plugin Stats (session since ${new Date(session.started).toLocaleTimeString()}):`);
+    logger.print("  - Captures:", session.captures);
+    logger.print("  - Calls:", describeTotals(session));
+    logger.print("  - Failures:", Object.entries(session.failure_kinds).map(([kind, count]) => `${kind} ${count}`).join(", ") || "None");
+    logger.print("  - Latency:", `p50 ${seconds(session.latency.p50)}, p90 ${seconds(session.latency.p90)}, p99 ${seconds(session.latency.p99)}`);
+    logger.print("  - Image Data:", (session.image_bytes / 1024 / 1024).toFixed(2), "MB");
+    logger.print("Today:", `${today.captures} capture(s), ${describeTotals(today)}`);
+    logger.print("This Month:", `${month.captures} capture(s), ${describeTotals(month)}`);
+    for (let [model, stats] of Object.entries(month.models)) {
+        logger.print(`  ${model}: ${stats.calls} call(s), ${stats.prompt_tokens} in / ${stats.completion_tokens} out tokens, ${formatCost(stats.cost)}`);
+    }
+    logger.print("Budget:");
+    logger.print("  - Daily:", daily_usd === null ? "No cap" : `${formatCost(Math.max(0, daily_usd - today.cost))} of ${formatCost(daily_usd)} left`);
+    logger.print("  - Monthly:", monthly_usd === null ? "No cap" : `${formatCost(Math.max(0, monthly_usd - month.cost))} of ${formatCost(monthly_usd)} left`);
+    logger.print("Costs are estimates from metrics.prices, check your provider's dashboard for the real bill");
+    logger.print("=".repeat(50));
+}
+
+/**
+ * Command handler with wake phrase detection.
+ * Untrusted input (chat) only gets what `permissions` allows. The host does not say who sent it:
+ * a bridge that knows can pass the chat user's name as user_name, otherwise all of chat is "Chat".
  */
-exports.onHandleCommand = async (command, trusted) => {
+exports.onHandleCommand = async (command, trusted, user_name = null) => {
+    const userName = trusted ? "User" : (user_name || "Chat");
+    const approval = !trusted && PERMISSIONS_CONFIG.approve_webcam;
+    
+    const name = command.startsWith("!") ? COMMAND_NAMES.find(key => command.startsWith(key)) : null;
+    if (name && !trusted) {
+        const permission = COMMAND_PERMISSIONS[name];
+        if (!allowChatRequest(PERMISSIONS_CONFIG.commands[permission] || "off", permission, userName)) {
+            return true;
+        }
+    }
+    
     // Check for manual commands first
     if (command.startsWith("!webcam")) {
-        await processVisionRequest("webcam", "User");
+        const { profile } = parseProfileArg(command.slice("!webcam".length));
+        if (profile === undefined) return true;
+        await waitForRequest(processVisionRequest("webcam", userName, { profile, approval }));
         return true;
     }
     
     if (command.startsWith("!screenshot")) {
-        await processVisionRequest("screenshot", "User");
+        const { profile, rest } = parseProfileArg(command.slice("!screenshot".length));
+        if (profile === undefined) return true;
+        await waitForRequest(processVisionRequest("screenshot", userName, { target: parseScreenshotTarget(rest), profile }));
+        return true;
+    }
+    
+    if (command.startsWith("!watch")) {
+        const { profile, rest } = parseProfileArg(command.slice("!watch".length));
+        if (profile === undefined) return true;
+        const { type, target, seconds } = parseWatchArgs(rest);
+        await waitForRequest(processVisionRequest(type, userName, { target, profile, burst: { seconds }, approval }));
+        return true;
+    }
+    
+    if (command.startsWith("!vision-read")) {
+        const target = parseScreenshotTarget(command.slice("!vision-read".length));
+        await waitForRequest(processVisionRequest("screenshot", userName, { target, ocr: "text" }));
+        return true;
+    }
+    
+    if (command.startsWith("!vision-file")) {
+        const { profile, rest } = parseProfileArg(command.slice("!vision-file".length));
+        if (profile === undefined) return true;
+        const file = rest.trim().replace(/^"(.*)"$/, "$1");
+        if (!file) {
+            logger.warn("Vision Plugin: Usage: !vision-file <path>");
+            return true;
+        }
+        await waitForRequest(processVisionRequest("image", userName, { target: { file: path.resolve(file) }, profile }));
+        return true;
+    }
+    
+    if (command.startsWith("!vision-clipboard")) {
+        const { profile } = parseProfileArg(command.slice("!vision-clipboard".length));
+        if (profile === undefined) return true;
+        await waitForRequest(processVisionRequest("image", userName, { target: { clipboard: true }, profile }));
+        return true;
+    }
+    
+    if (command.startsWith("!vision-folder")) {
+        const { profile } = parseProfileArg(command.slice("!vision-folder".length));
+        if (profile === undefined) return true;
+        if (!IMAGE_SOURCES_CONFIG.folder) {
+            logger.warn("Vision Plugin: Set image_sources.folder in config.json first");
+            return true;
+        }
+        let file;
+        try {
+            file = imageSources.newestImage(IMAGE_SOURCES_CONFIG.folder);
+        } catch (err) {
+            logger.warn(`Vision Plugin: Could not read ${IMAGE_SOURCES_CONFIG.folder}:`, err.message);
+            return true;
+        }
+        if (!file) {
+            logger.print(`Vision Plugin: No images in ${IMAGE_SOURCES_CONFIG.folder}`);
+            return true;
+        }
+        await waitForRequest(processVisionRequest("image", userName, { target: { file }, profile }));
+        return true;
+    }
+    
+    if (command.startsWith("!vision-approve") || command.startsWith("!vision-deny")) {
+        if (!pendingApproval) {
+            logger.print("Vision Plugin: Nothing is waiting for approval");
+            return true;
+        }
+        const approved = command.startsWith("!vision-approve");
+        logger.print(`Vision Plugin: Webcam request from ${pendingApproval.job.userName} ${approved ? "approved" : "denied"}`);
+        pendingApproval.finish(approved);
+        return true;
+    }
+    
+    if (command.startsWith("!vision-profiles")) {
+        logger.print("Vision Plugin: Prompt profiles:");
+        for (let name of Object.keys(PROMPT_PROFILES)) {
+            logger.print(`  - ${name}${name === PROMPT_CONFIG.profile ? " (default)" : ""}`);
+        }
         return true;
     }
     
     if (command.startsWith("!look at me") || command.startsWith("!see me")) {
-        await processVisionRequest("webcam", "User");
+        await waitForRequest(processVisionRequest("webcam", userName, { approval }));
         return true;
     }
     
     if (command.startsWith("!look at screen") || command.startsWith("!look at my screen")) {
-        await processVisionRequest("screenshot", "User");
+        await waitForRequest(processVisionRequest("screenshot", userName));
+        return true;
+    }
+    
+    if (command.startsWith("!vision-ask")) {
+        const question = command.slice("!vision-ask".length).trim();
+        if (!question) {
+            logger.print("Vision Plugin: Usage: !vision-ask <question>");
+        } else {
+            await processFollowUp(question, userName);
+        }
+        return true;
+    }
+    
+    if (command.startsWith("!vision-wake-test")) {
+        const message = command.slice("!vision-wake-test".length).trim();
+        const ruleMatch = detectWakePhrase(message);
+        logger.print(`Vision Plugin: Rules: ${ruleMatch ? `${ruleMatch.read ? "read" : ruleMatch.watch ? `watch ${ruleMatch.type}` : ruleMatch.type}${ruleMatch.target.region ? ` (region: ${ruleMatch.target.region})` : ""} via "${ruleMatch.phrase}"` : "no match"}`);
+        if (WAKE_CONFIG.mode === "llm") {
+            const intent = await detectWakeIntent(message);
+            logger.print(`Vision Plugin: Intent: ${intent ? `${intent.read ? "read" : intent.watch ? `watch ${intent.type}` : intent.type}${intent.target.region ? ` (region: ${intent.target.region})` : ""}` : "no match"}`);
+        }
+        return true;
+    }
+    
+    if (command.startsWith("!vision-ambient")) {
+        const action = command.slice("!vision-ambient".length).trim();
+        if (action === "start") {
+            startAmbient();
+        } else if (action === "stop") {
+            stopAmbient();
+        } else {
+            const now = Date.now();
+            const callsLastHour = ambientCallTimes.filter(t => now - t < 60 * 60 * 1000).length;
+            logger.print(`Vision Plugin: Ambient mode ${ambientTimer ? "running" : "stopped"}`);
+            logger.print(`  - Sources: ${AMBIENT_CONFIG.sources.join(", ")} every ${AMBIENT_CONFIG.interval_seconds}s`);
+            logger.print(`  - Change Threshold: ${AMBIENT_CONFIG.change_threshold}/64`);
+            logger.print(`  - Calls This Hour: ${callsLastHour}/${AMBIENT_CONFIG.max_calls_per_hour}`);
+        }
+        return true;
+    }
+    
+    if (command.startsWith("!vision-queue")) {
+        const arg = command.slice("!vision-queue".length).trim();
+        if (arg === "clear") {
+            const cancelled = visionQueue.clear();
+            logger.print(`Vision Plugin: Cancelled ${cancelled} queued job(s)`);
+            return true;
+        }
+        if (arg === "stop") {
+            logger.print(visionQueue.abortRunning()
+                ? "Vision Plugin: Stopping the running job"
+                : "Vision Plugin: Nothing is running");
+            return true;
+        }
+        
+        const { running, pending, history, maxDepth } = visionQueue.status();
+        const describe = (job) => `#${job.id} ${job.label} [${job.status}]${job.error ? ` - ${job.error}` : ""}`;
+        logger.print(`Vision Plugin: Queue (${pending.length}/${maxDepth})`);
+        logger.print("  Running:", running ? describe(running) : "none");
+        pending.forEach((job, idx) => logger.print(`  ${idx + 1}. ${describe(job)} (priority ${job.priority})`));
+        if (history.length > 0) {
+            logger.print("  Recent:");
+            history.slice().reverse().forEach(job => logger.print(`    ${describe(job)}`));
+        }
         return true;
     }
     
@@ -435,29 +2232,191 @@ exports.onHandleCommand = async (command, trusted) => {
         return true;
     }
     
+    if (command.startsWith("!vision-redact-test")) {
+        const arg = command.slice("!vision-redact-test".length).trim();
+        try {
+            const filename = arg === "webcam"
+                ? await captureWebcam({ preview: true })
+                : await captureScreenshot(parseScreenshotTarget(arg), { preview: true });
+            logger.print("Vision Plugin: Masked preview written to", filename);
+        } catch (err) {
+            logger.warn("Vision Plugin: Redaction preview failed:", err.message);
+        }
+        return true;
+    }
+    
+    if (command.startsWith("!vision-displays")) {
+        try {
+            const displays = await screenshot.listDisplays();
+            logger.print("Vision Plugin: Displays:");
+            displays.forEach((d, idx) => logger.print(`  ${idx}: ${d.name} (id: ${d.id})`));
+            logger.print("Vision Plugin: Regions:", Object.keys(SCREENSHOT_CONFIG.regions).join(", ") || "none");
+        } catch (err) {
+            logger.warn("Vision Plugin: Failed to list displays:", err.message);
+        }
+        return true;
+    }
+    
+    if (command.startsWith("!vision-cameras")) {
+        try {
+            const cameras = await cameraDiscovery.listCameras();
+            logger.print(`Vision Plugin: Cameras (${cameras.length}):`);
+            cameras.forEach(camera => logger.print(`  ${camera.index}: ${camera.name || "(unknown name)"} (device: ${camera.device})`));
+            logger.print("Vision Plugin: Select one with webcam.camera_name (or webcam.device) in config.json");
+        } catch (err) {
+            logger.warn("Vision Plugin: Failed to list cameras:", err.message);
+        }
+        return true;
+    }
+    
+    if (command.startsWith("!vision-obs")) {
+        try {
+            const client = getObs();
+            const [scene, { scenes, inputs }] = await Promise.all([client.getProgramScene(), client.listSources()]);
+            logger.print(`Vision Plugin: OBS at ${OBS_CONFIG.url}, on stream: ${scene}`);
+            logger.print(`Vision Plugin: Scenes (${scenes.length}): ${scenes.join(", ") || "none"}`);
+            logger.print(`Vision Plugin: Sources (${inputs.length}):`);
+            inputs.forEach(input => logger.print(`  ${input.name} (${input.kind})`));
+            logger.print("Vision Plugin: Use one with obs.source, obs.webcam_source or !screenshot obs:<name>");
+        } catch (err) {
+            logger.warn("Vision Plugin: OBS not reachable:", err.message);
+        }
+        return true;
+    }
+    
+    if (command.startsWith("!vision-stats")) {
+        const arg = command.slice("!vision-stats".length).trim();
+        if (arg === "reset") {
+            metrics.resetSession();
+            logger.print("Vision Plugin: Session stats reset (daily and monthly totals are kept)");
+            return true;
+        }
+        printStats();
+        return true;
+    }
+    
+    if (command.startsWith("!vision-reload-config")) {
+        if (reloadConfig()) {
+            logger.print("Vision Plugin: Config reloaded");
+        }
+        return true;
+    }
+    
     if (command.startsWith("!vision-test")) {
         logger.print("=".repeat(50));
         logger.print("Vision Plugin Status:");
+        logger.print("  - Provider:", VISION_CONFIG.provider);
+        logger.print("  - Endpoint:", providers.resolveEndpoint(VISION_CONFIG));
         logger.print("  - Model:", VISION_CONFIG.model);
         logger.print("  - API Key:", VISION_CONFIG.api_key ? "Set" : "Not set");
-        logger.print("  - Camera Device:", webcamOpts.device);
+        logger.print("  - Detail:", VISION_CONFIG.detail);
+        logger.print("  - Timeout:", VISION_CONFIG.timeout_ms / 1000, "seconds,", VISION_CONFIG.retries, "retries");
+        logger.print("  - Fallback Model:", VISION_CONFIG.fallback_model || "None");
+        logger.print("  - OCR:", Object.entries(OCR_CONFIG.modes).map(([trigger, mode]) => `${trigger} ${mode}`).join(", "));
+        logger.print("  - Structured Output:", STRUCTURED_CONFIG.enabled ? "On" : "Off");
+        logger.print("  - Image Sources:", `folder ${IMAGE_SOURCES_CONFIG.folder || "not set"}${folderWatcher ? " (watched)" : ""}, chat URLs ${IMAGE_SOURCES_CONFIG.urls.enabled ? `on (max ${IMAGE_SOURCES_CONFIG.urls.max_mb} MB)` : "off"}`);
+        logger.print("  - Burst:", `${BURST_CONFIG.frames} frames, ${BURST_CONFIG.default_seconds}s default (max ${BURST_CONFIG.max_seconds}s), dedupe ${BURST_CONFIG.dedupe_threshold}/64`);
+        logger.print("  - Streaming:", STREAMING_CONFIG.enabled ? `On (to ${STREAMING_CONFIG.output})` : "Off");
+        const { daily_usd, monthly_usd } = METRICS_CONFIG.budget;
+        logger.print("  - Budget:", daily_usd === null && monthly_usd === null
+            ? "None"
+            : `${daily_usd === null ? "" : `$${daily_usd}/day `}${monthly_usd === null ? "" : `$${monthly_usd}/month `}${metrics.checkBudget(METRICS_CONFIG.budget) ? "(spent, vision off)" : "(OK)"}`);
+        logger.print("  - Preprocess:", PREPROCESS_CONFIG.enabled
+            ? `${PREPROCESS_CONFIG.format}, max ${PREPROCESS_CONFIG.max_dimension}px, quality ${PREPROCESS_CONFIG.quality}${PREPROCESS_CONFIG.grayscale ? ", grayscale" : ""}`
+            : "Off");
+        logger.print("  - Display:", OBS_CONFIG.screenshot ? "OBS" : SCREENSHOT_CONFIG.display ?? "Primary");
+        logger.print("  - OBS:", !OBS_CONFIG.screenshot && !OBS_CONFIG.webcam_source
+            ? "Off"
+            : `${OBS_CONFIG.url} (${obs?.isConnected() ? "connected" : "not connected"})${OBS_CONFIG.screenshot ? `, screenshots of ${OBS_CONFIG.source ? `"${OBS_CONFIG.source}"` : "the program scene"}` : ""}${OBS_CONFIG.webcam_source ? `, webcam from "${OBS_CONFIG.webcam_source}"` : ""}`);
+        logger.print("  - Regions:", Object.keys(SCREENSHOT_CONFIG.regions).join(", ") || "None");
+        logger.print("  - Blackout Zones:", `${PRIVACY_CONFIG.blackout.webcam.length} webcam, ${PRIVACY_CONFIG.blackout.screenshot.length} screenshot, ${Object.keys(PRIVACY_CONFIG.blackout.displays).length} display list(s), ${Object.keys(PRIVACY_CONFIG.blackout.obs_sources).length} OBS source list(s)`);
+        logger.print("  - OCR Masking:", PRIVACY_CONFIG.ocr_mask ? PRIVACY_CONFIG.mask_patterns.join(", ") : "Off");
+        logger.print("  - Archive:", ARCHIVE_CONFIG.enabled
+            ? `${archive.listArchive().length} image(s), max age ${ARCHIVE_CONFIG.max_age_days ?? "-"} days, max count ${ARCHIVE_CONFIG.max_count ?? "-"}, max size ${ARCHIVE_CONFIG.max_total_mb ?? "-"} MB`
+            : "Off");
+        logger.print("  - Follow-ups:", FOLLOWUP_CONFIG.enabled
+            ? `${visionContext.getRecent().length} cached image(s), ${FOLLOWUP_CONFIG.window_seconds}s window${FOLLOWUP_CONFIG.auto ? ", auto" : ""}`
+            : "Off");
+        const chatCommands = Object.entries(PERMISSIONS_CONFIG.commands).filter(([, level]) => level !== "off");
+        logger.print("  - Chat Commands:", chatCommands.map(([command, level]) => `${command} (${level})`).join(", ") || "None");
+        logger.print("  - Chat Wake Phrases:", PERMISSIONS_CONFIG.wake_phrases, `(${PERMISSIONS_CONFIG.mods.length} mod(s), ${PERMISSIONS_CONFIG.user_limit === null ? "no limit" : `${PERMISSIONS_CONFIG.user_limit} per ${PERMISSIONS_CONFIG.user_window_seconds}s`})`);
+        logger.print("  - Webcam Approval:", PERMISSIONS_CONFIG.approve_webcam ? `On (${PERMISSIONS_CONFIG.approval_timeout_seconds}s)${pendingApproval ? `, waiting for ${pendingApproval.job.userName}` : ""}` : "Off");
+        logger.print("  - Twitch Rewards:", Object.keys(TWITCH_CONFIG.rewards).length, `(user cooldown ${TWITCH_CONFIG.user_cooldown_ms / 1000}s)`);
+        logger.print("  - Camera:", OBS_CONFIG.webcam_source
+            ? `OBS source "${OBS_CONFIG.webcam_source}"`
+            : CAMERA_NAME
+                ? `"${CAMERA_NAME}" -> ${selectedCamera ? `device ${selectedCamera.device}${selectedCamera.name ? "" : " (not found)"}` : "looked up on first capture"}`
+                : `device ${webcamOpts.device}`);
+        logger.print("  - Camera Health:", !cameraHealth
+            ? `not checked yet${WEBCAM_HEALTH_CONFIG.enabled ? "" : " (checks off)"}`
+            : cameraHealth.ok
+                ? `OK on device ${cameraHealth.device}${cameraHealth.fallback ? " (fallback)" : ""} at ${new Date(cameraHealth.time).toLocaleTimeString()}${cameraHealth.problems.length > 0 ? `, after: ${cameraHealth.problems.join(", ")}` : ""}`
+                : `FAILED at ${new Date(cameraHealth.time).toLocaleTimeString()}: ${cameraHealth.problems.join(", ")}`);
+        logger.print("  - Fallback Cameras:", FALLBACK_DEVICES.join(", ") || "None");
         logger.print("  - Camera Output:", webcamOpts.output);
         logger.print("  - Processing:", isProcessingVision);
+        logger.print("  - Queued Jobs:", visionQueue.status().pending.length);
         logger.print("  - Last Vision:", new Date(lastVisionTimestamp).toLocaleTimeString());
         logger.print("  - Cooldown:", VISION_COOLDOWN / 1000, "seconds");
         logger.print("  - Memory API:", wAIfu.state?.memory?.addMemory ? "Available" : "Not available");
-        logger.print("Wake Phrases:");
+        logger.print("Wake Phrases:", `${WAKE_CONFIG.mode} mode${WAKE_CONFIG.fuzzy ? ", fuzzy" : ""}`);
         logger.print("  Webcam:", WAKE_PHRASES.WEBCAM.join(", "));
         logger.print("  Screenshot:", WAKE_PHRASES.SCREENSHOT.join(", "));
+        logger.print("  Read:", WAKE_PHRASES.READ.join(", "));
+        logger.print("  Watch:", [...WAKE_PHRASES.WATCH_WEBCAM, ...WAKE_PHRASES.WATCH_SCREENSHOT].join(", "));
+        logger.print("Config:", settings.CONFIG_PATH);
+        logger.print("  - Hot Reload:", configWatcher ? "On" : "Off");
+        const defaultProfile = getProfile(null);
         logger.print("Custom Prompts:");
-        logger.print("  - Webcam Analysis:", PROMPTS.webcam_analysis.slice(0, 50) + "...");
-        logger.print("  - Screenshot Analysis:", PROMPTS.screenshot_analysis.slice(0, 50) + "...");
+        logger.print("  - Profiles:", Object.keys(PROMPT_PROFILES).join(", "), `(default: ${PROMPT_CONFIG.profile})`);
+        logger.print("  - Webcam Analysis:", defaultProfile.webcam_analysis.slice(0, 50) + "...");
+        logger.print("  - Screenshot Analysis:", defaultProfile.screenshot_analysis.slice(0, 50) + "...");
         logger.print("=".repeat(50));
         return true;
     }
     
     // Detect wake phrases in non-command input
     if (!command.startsWith("!") && !command.startsWith("[VISION")) {
+        // Chat messages are left alone entirely when chat may not trigger vision
+        if (!trusted && PERMISSIONS_CONFIG.wake_phrases === "off") {
+            return false;
+        }
+        
+        // An image URL in the message is looked at directly
+        const imageUrl = IMAGE_SOURCES_CONFIG.urls.enabled ? imageSources.findImageUrl(command) : null;
+        if (imageUrl) {
+            if (!trusted && !allowChatRequest(PERMISSIONS_CONFIG.image_urls, "image URL", userName)) {
+                return false;
+            }
+            const now = Date.now();
+            if (now - lastVisionTimestamp < VISION_COOLDOWN) {
+                logger.debug("Vision Plugin: Cooldown active, ignoring image URL");
+                return false;
+            }
+            lastVisionTimestamp = now;
+            
+            // Whatever was written around the link goes into the memory note
+            const text = command.replace(imageUrl, " ").replace(/\s+/g, " ").trim();
+            logger.print(`Vision Plugin: Image URL from ${userName}: ${imageUrl}`);
+            await waitForRequest(processVisionRequest("image", userName, {
+                target: { url: imageUrl },
+                source: "image_url",
+                context: text ? `{user} shared an image and wrote: "${text}". What you see: {description}` : null
+            }));
+            return true;
+        }
+        
+        // Questions about the image right after a capture are answered from the cached image,
+        // unless they contain a wake phrase asking for a fresh look. Anything else goes to the character.
+        if (FOLLOWUP_CONFIG.enabled && FOLLOWUP_CONFIG.auto && !detectWakePhrase(command)
+            && isQuestion(command) && refersToImage(command) && visionContext.getRecent().length > 0) {
+            if (!trusted && !allowChatRequest(PERMISSIONS_CONFIG.wake_phrases, "follow-up", userName)) {
+                return false;
+            }
+            await processFollowUp(command, userName);
+            return true;
+        }
+        
         const now = Date.now();
         const timeSinceLastVision = now - lastVisionTimestamp;
         
@@ -467,17 +2426,28 @@ exports.onHandleCommand = async (command, trusted) => {
             return false;
         }
         
-        // Check for wake phrases
-        const wakeType = detectWakePhrase(command);
-        if (wakeType) {
-            logger.print(`Vision Plugin: Wake phrase detected: "${command.slice(0, 50)}..."`);
-            logger.print(`Vision Plugin: Triggering ${wakeType} vision...`);
+        // Check for wake phrases. Chat users who couldn't use one anyway only get the rule matcher,
+        // so their messages never cost an intent classifier call
+        const mayWake = trusted || !checkChatAccess(PERMISSIONS_CONFIG.wake_phrases, userName, now, false);
+        const wake = mayWake ? await detectWakeIntent(command) : detectWakePhrase(command);
+        if (wake) {
+            if (!trusted && !allowChatRequest(PERMISSIONS_CONFIG.wake_phrases, "wake phrase", userName)) {
+                return false;
+            }
+            logger.print(`Vision Plugin: Wake phrase detected: "${command.slice(0, 50)}..." (matched: ${wake.phrase})`);
+            logger.print(`Vision Plugin: Triggering ${wake.type} ${wake.watch ? "burst" : "vision"}...`);
             
             // Set timestamp BEFORE processing
             lastVisionTimestamp = now;
             
             // Process vision SYNCHRONOUSLY
-            const description = await processVisionRequest(wakeType, "User");
+            await waitForRequest(processVisionRequest(wake.type, userName, {
+                target: wake.target,
+                source: "wake_phrase",
+                ocr: wake.read ? "text" : null,
+                burst: wake.watch ? { seconds: BURST_CONFIG.default_seconds } : null,
+                approval
+            }));
             
             // Return true to consume the wake phrase message
             // The AI will respond to the queued !say command instead
@@ -488,6 +2458,25 @@ exports.onHandleCommand = async (command, trusted) => {
     return false;
 };
 
+/**
+ * Replace a capture device with a function returning an image buffer (BMP, PNG or JPEG),
+ * e.g. to run the plugin against fixture images. Pass null to go back to the device.
+ * webcam(device) gets the configured device, screenshot(display) the display index or name (null = primary).
+ * Captures still go through the health checks, masking, preprocessing and archiving.
+ */
+exports.setCaptureSource = (type, capture) => {
+    if (!(type in captureSources)) {
+        throw new Error(`Unknown capture source "${type}" (available: ${Object.keys(captureSources).join(", ")})`);
+    }
+    captureSources[type] = capture;
+};
+
+/**
+ * Latest analysis result for other plugins:
+ * { type, source, user, description, structured, timestamp } or null
+ */
+exports.getLastResult = () => lastResult;
+
 /**
  * Response handler
  */
@@ -500,21 +2489,83 @@ exports.onResponse = (response) => {
  */
 exports.onInputRequest = () => {
     if (inputQueue.length === 0) return undefined;
-    const item = inputQueue.shift();
-    while (inputQueue.length > 0) inputQueue.pop();
-    return item;
+    // One item per request, queued vision results are answered in order
+    return inputQueue.shift();
 };
 
 /**
- * Twitch reward handler
+ * Find the configured reward for a redeemed title (case-insensitive)
+ */
+function findReward(rewardName) {
+    const wanted = String(rewardName).trim().toLowerCase();
+    const name = Object.keys(TWITCH_CONFIG.rewards).find(key => key.toLowerCase() === wanted);
+    return name ? { name, ...TWITCH_CONFIG.rewards[name] } : null;
+}
+
+/**
+ * Check allow/deny lists and cooldowns for a redemption, returns a refund reason or null
+ */
+function checkRedemption(userName, now) {
+    const user = userName.toLowerCase();
+    const listed = (list) => list.some(name => name.toLowerCase() === user);
+    
+    if (listed(TWITCH_CONFIG.deny)) return "denied";
+    if (TWITCH_CONFIG.allow.length > 0 && !listed(TWITCH_CONFIG.allow)) return "denied";
+    
+    const globalCooldown = TWITCH_CONFIG.global_cooldown_ms ?? VISION_COOLDOWN;
+    if (now - lastVisionTimestamp < globalCooldown) return "global_cooldown";
+    
+    if (now - (rewardUserTimes[user] || 0) < TWITCH_CONFIG.user_cooldown_ms) return "user_cooldown";
+    
+    return null;
+}
+
+/**
+ * Twitch reward handler. Anything after user_name (e.g. a redemption id) is passed
+ * back unchanged in the emitted events so the host can refund or fulfil it.
  */
-exports.onTwitchRewardRedeem = (reward_name, user_name) => {
+exports.onTwitchRewardRedeem = async (reward_name, user_name, ...extra) => {
     logger.print(`Vision Plugin: Twitch reward "${reward_name}" by ${user_name}`);
     
-    if (reward_name === "Show me your face" || reward_name === "Look at chat" || reward_name === "AI looks at you") {
-        processVisionRequest("webcam", user_name);
-    } else if (reward_name === "Show me your screen" || reward_name === "What are you doing?" || reward_name === "AI looks at screen") {
-        processVisionRequest("screenshot", user_name);
+    const reward = findReward(reward_name);
+    if (!reward) return;
+    
+    const userName = user_name || "User";
+    const refund = (reason, error = null, errorKind = null) => {
+        logger.print(`Vision Plugin: Reward "${reward.name}" by ${userName} not fulfilled (${reason})`);
+        events.emit("twitch-reward-refund", { reward: reward.name, user: userName, reason, error, errorKind, extra });
+    };
+    
+    const now = Date.now();
+    const rejection = checkRedemption(userName, now);
+    if (rejection) {
+        refund(rejection);
+        return;
+    }
+    lastVisionTimestamp = now;
+    rewardUserTimes[userName.toLowerCase()] = now;
+    
+    const target = reward.type === "screenshot"
+        ? (reward.region ? { region: reward.region }
+            : reward.obs_source ? { source: reward.obs_source }
+            : reward.display !== undefined ? { display: reward.display } : {})
+        : {};
+    const { job, done } = processVisionRequest(reward.type, userName, {
+        source: "twitch_reward",
+        target,
+        ocr: reward.ocr || null,
+        profile: reward.profile || null,
+        prompt: reward.prompt || null,
+        context: reward.context || null,
+        reward: reward.name,
+        approval: PERMISSIONS_CONFIG.approve_webcam
+    });
+    const description = await done;
+    
+    if (description === null) {
+        refund(job.status, job.error || null, job.errorKind || null);
+    } else {
+        events.emit("twitch-reward-fulfilled", { reward: reward.name, user: userName, description, extra });
     }
 };
 
@@ -522,12 +2573,23 @@ exports.onTwitchRewardRedeem = (reward_name, user_name) => {
  * Cleanup on quit
  */
 exports.onQuit = () => {
+    updateConfigWatcher(false);
+    stopAmbient();
+    if (folderWatcher) {
+        folderWatcher.close();
+        folderWatcher = null;
+    }
+    closeObs();
+    visionQueue.clear();
+    visionQueue.abortRunning();
+    ocr.terminate();
+    
     try {
         const tempDir = path.join(process.cwd(), "userdata", "temp");
         if (fs.existsSync(tempDir)) {
             const files = fs.readdirSync(tempDir);
             for (let file of files) {
-                if (file.startsWith("webcam_") || file.startsWith("screenshot_")) {
+                if (file.startsWith("webcam_") || file.startsWith("screenshot_") || file.startsWith("image_") || file.startsWith("redact_preview_")) {
                     try {
                         fs.unlinkSync(path.join(tempDir, file));
                     } catch (e) {
@@ -0,0 +1,143 @@
+/**
+ * Vision job queue
+ * - Runs one job at a time, highest priority first, FIFO within a priority
+ * - Bounded depth: a full queue evicts its lowest-priority job for a more important one
+ * - Keeps a short history of finished jobs for status output
+ * - Every job carries an AbortSignal (job.signal) so the running one can be stopped
+ */
+
+const HISTORY_SIZE = 10;
+
+/**
+ * Create a queue. run(job) does the work and returns the job result.
+ */
+function createQueue(run, maxDepth = 5) {
+    let nextId = 1;
+    let running = null;
+    /** @type { any[] } */
+    let pending = [];
+    /** @type { any[] } */
+    let history = [];
+
+    /**
+     * Move a job to the history with its final status and settle its promise
+     */
+    const finish = (job, status, result) => {
+        job.status = status;
+        job.finishedAt = Date.now();
+        history.push(job);
+        history = history.slice(-HISTORY_SIZE);
+        job.resolve(result);
+    };
+
+    /**
+     * Start the next job if nothing is running
+     */
+    const pump = async () => {
+        if (running || pending.length === 0) return;
+
+        running = pending.shift();
+        running.status = "running";
+        running.startedAt = Date.now();
+
+        const job = running;
+        try {
+            const result = await run(job);
+            if (job.signal.aborted) {
+                finish(job, "cancelled", null);
+            } else {
+                finish(job, result === null || result === undefined ? "failed" : "done", result);
+            }
+        } catch (err) {
+            job.error = err.message;
+            finish(job, job.signal.aborted ? "cancelled" : "failed", null);
+        } finally {
+            running = null;
+            pump();
+        }
+    };
+
+    return {
+        /**
+         * Add a job ({ label, priority, ...data }).
+         * Returns { job, done } where done resolves with the result, or null if the job failed or was dropped.
+         */
+        enqueue(data) {
+            let resolve;
+            const done = new Promise(r => resolve = r);
+            const controller = new AbortController();
+            const job = {
+                ...data,
+                id: nextId++,
+                priority: data.priority || 0,
+                status: "queued",
+                enqueuedAt: Date.now(),
+                signal: controller.signal,
+                abort: () => controller.abort(),
+                resolve
+            };
+
+            if (pending.length >= maxDepth) {
+                // Lowest priority, newest first, is the one to go
+                const victim = pending.reduce((low, candidate) =>
+                    candidate.priority <= low.priority ? candidate : low
+                );
+                if (victim.priority >= job.priority) {
+                    finish(job, "dropped", null);
+                    return { job, done };
+                }
+                pending = pending.filter(j => j !== victim);
+                finish(victim, "dropped", null);
+            }
+
+            // Insert after every job of the same or higher priority
+            const index = pending.findIndex(j => j.priority < job.priority);
+            if (index === -1) {
+                pending.push(job);
+            } else {
+                pending.splice(index, 0, job);
+            }
+
+            pump();
+            return { job, done };
+        },
+
+        /**
+         * Cancel every queued job (the running one finishes), returns how many were cancelled
+         */
+        clear() {
+            const cancelled = pending;
+            pending = [];
+            cancelled.forEach(job => finish(job, "cancelled", null));
+            return cancelled.length;
+        },
+
+        /**
+         * Abort the running job through its signal, returns whether there was one
+         */
+        abortRunning() {
+            if (!running) return false;
+            running.abort();
+            return true;
+        },
+
+        setMaxDepth(depth) {
+            maxDepth = depth;
+        },
+
+        /**
+         * Snapshot of the queue for status output
+         */
+        status() {
+            return { running, pending: [...pending], history: [...history], maxDepth };
+        },
+
+        isBusy() {
+            return running !== null || pending.length > 0;
+        }
+    };
+}
+
+module.exports = {
+    createQueue
+};
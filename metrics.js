@@ -0,0 +1,242 @@
+/**
+ * Vision usage metrics and cost tracking
+ * - Session counters live in memory, daily totals are persisted to userdata/vision_metrics.json
+ * - Token counts come from the API's usage field, cost from a per-model price table (USD per 1M tokens)
+ * - Latency percentiles cover the calls of the current session
+ * - Daily/monthly spend is checked against the configured budget
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const METRICS_PATH = path.join(process.cwd(), "userdata", "vision_metrics.json");
+
+// Latency samples kept for percentiles, oldest are dropped first
+const MAX_LATENCY_SAMPLES = 1000;
+
+// Daily totals older than this are dropped when saving
+const KEEP_DAYS = 400;
+
+const COUNTERS = ["captures", "calls", "failures", "image_bytes", "prompt_tokens", "completion_tokens", "cost", "unpriced_calls"];
+const MODEL_COUNTERS = ["calls", "prompt_tokens", "completion_tokens", "cost"];
+
+let prices = {};
+let days = {};   // "YYYY-MM-DD" -> totals
+let session = createSession();
+
+/**
+ * Zeroed counters
+ */
+function emptyTotals() {
+    return {
+        captures: 0,
+        calls: 0,
+        failures: 0,
+        image_bytes: 0,
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        cost: 0,
+        unpriced_calls: 0,   // calls without usage or without a price, not in cost
+        models: {}           // model -> { calls, prompt_tokens, completion_tokens, cost }
+    };
+}
+
+/**
+ * Fresh session state
+ */
+function createSession(now = Date.now()) {
+    return { started: now, totals: emptyTotals(), latencies: [], failure_kinds: {} };
+}
+
+/**
+ * Local calendar day of a timestamp, e.g. "2024-05-31"
+ */
+function dayKey(now) {
+    const date = new Date(now);
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Set the price table: model (or model prefix) -> { input, output } in USD per 1M tokens
+ */
+function configure(options) {
+    prices = options.prices;
+}
+
+/**
+ * Load persisted daily totals, a missing or broken file starts from zero
+ */
+function load(file = METRICS_PATH) {
+    try {
+        days = JSON.parse(fs.readFileSync(file, "utf8")).days || {};
+    } catch (err) {
+        days = {};
+    }
+}
+
+/**
+ * Persist daily totals, dropping days past the retention window
+ */
+function save(file = METRICS_PATH, now = Date.now()) {
+    const oldest = dayKey(now - KEEP_DAYS * 24 * 60 * 60 * 1000);
+    for (let key of Object.keys(days)) {
+        if (key < oldest) delete days[key];
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ days }, null, 4));
+}
+
+/**
+ * Price entry for a model: an exact key, otherwise the longest key the model name starts with
+ * ("gpt-4o-mini-2024-07-18" uses "gpt-4o-mini", not "gpt-4o")
+ */
+function priceFor(model) {
+    if (prices[model]) return prices[model];
+    const key = Object.keys(prices)
+        .filter(prefix => model.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    return key ? prices[key] : null;
+}
+
+/**
+ * Estimated cost of one call in USD, or null when it can't be priced
+ */
+function estimateCost(model, usage, free = false) {
+    if (free) return 0;
+    const price = priceFor(model);
+    if (!price || !usage) return null;
+    return ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1e6;
+}
+
+/**
+ * Add one set of totals (or a single call/capture in the same shape) to another
+ */
+function addTo(totals, delta) {
+    for (let key of COUNTERS) {
+        totals[key] = (totals[key] || 0) + (delta[key] || 0);
+    }
+    for (let [model, stats] of Object.entries(delta.models || {})) {
+        totals.models[model] = totals.models[model] || {};
+        for (let key of MODEL_COUNTERS) {
+            totals.models[model][key] = (totals.models[model][key] || 0) + (stats[key] || 0);
+        }
+    }
+}
+
+/**
+ * Add to the session and to today's persisted totals
+ */
+function record(delta, now) {
+    addTo(session.totals, delta);
+    const key = dayKey(now);
+    days[key] = days[key] || emptyTotals();
+    addTo(days[key], delta);
+}
+
+/**
+ * Count a capture
+ */
+function recordCapture(now = Date.now()) {
+    record({ captures: 1 }, now);
+}
+
+/**
+ * Count a model call.
+ * call: { model, latencyMs, imageBytes, usage: { prompt_tokens, completion_tokens } | null, errorKind, free }
+ * Returns the estimated cost (null if unknown).
+ */
+function recordCall(call, now = Date.now()) {
+    const usage = call.usage || null;
+    const cost = estimateCost(call.model, usage, call.free);
+    const counts = {
+        calls: 1,
+        prompt_tokens: usage?.prompt_tokens || 0,
+        completion_tokens: usage?.completion_tokens || 0,
+        cost: cost || 0
+    };
+    record({
+        ...counts,
+        failures: call.errorKind ? 1 : 0,
+        image_bytes: call.imageBytes || 0,
+        unpriced_calls: cost === null && !call.errorKind ? 1 : 0,
+        models: { [call.model]: counts }
+    }, now);
+
+    if (call.errorKind) {
+        session.failure_kinds[call.errorKind] = (session.failure_kinds[call.errorKind] || 0) + 1;
+    } else {
+        session.latencies.push(call.latencyMs);
+        if (session.latencies.length > MAX_LATENCY_SAMPLES) session.latencies.shift();
+    }
+    return cost;
+}
+
+/**
+ * Value at percentile p (0-100) of the session's successful call latencies, or null
+ */
+function latencyPercentile(p) {
+    if (session.latencies.length === 0) return null;
+    const sorted = [...session.latencies].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Session totals, start time, failure kinds and latency percentiles
+ */
+function sessionStats() {
+    return {
+        ...session.totals,
+        started: session.started,
+        failure_kinds: { ...session.failure_kinds },
+        latency: { p50: latencyPercentile(50), p90: latencyPercentile(90), p99: latencyPercentile(99) }
+    };
+}
+
+/**
+ * Persisted totals for today ("day") or the current calendar month ("month")
+ */
+function periodTotals(period, now = Date.now()) {
+    const today = dayKey(now);
+    const totals = emptyTotals();
+    for (let [key, day] of Object.entries(days)) {
+        if (period === "day" ? key === today : key.slice(0, 7) === today.slice(0, 7)) {
+            addTo(totals, day);
+        }
+    }
+    return totals;
+}
+
+/**
+ * Check spend against budget { daily_usd, monthly_usd } (null = no cap).
+ * Returns { period, spent, limit } for the first cap reached, or null.
+ */
+function checkBudget(budget, now = Date.now()) {
+    for (let [period, limit] of [["day", budget.daily_usd], ["month", budget.monthly_usd]]) {
+        if (limit === null || limit === undefined) continue;
+        const spent = periodTotals(period, now).cost;
+        if (spent >= limit) return { period, spent, limit };
+    }
+    return null;
+}
+
+/**
+ * Start a new session, persisted totals are kept
+ */
+function resetSession() {
+    session = createSession();
+}
+
+module.exports = {
+    METRICS_PATH,
+    configure,
+    load,
+    save,
+    estimateCost,
+    recordCapture,
+    recordCall,
+    sessionStats,
+    periodTotals,
+    checkBudget,
+    resetSession
+};
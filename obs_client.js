@@ -0,0 +1,215 @@
+/**
+ * OBS WebSocket (protocol v5, OBS 28+) client for screenshots of scenes and sources
+ * - Connects on first use and keeps the connection, the next request reopens a dropped one
+ * - Authenticates with the server's challenge and salt when OBS has a password set
+ * - Only requests and their responses, no event subscriptions
+ */
+
+const crypto = require("crypto");
+const WebSocket = require("ws");
+
+const OP = { HELLO: 0, IDENTIFY: 1, IDENTIFIED: 2, REQUEST: 6, REQUEST_RESPONSE: 7 };
+
+const RPC_VERSION = 1;
+
+// Close codes OBS uses to say why it dropped the connection
+const CLOSE_REASONS = {
+    4009: "wrong password (obs.password)",
+    4010: "unsupported protocol version, OBS 28 or newer is needed",
+    4011: "the session was closed from OBS"
+};
+
+/**
+ * Authentication string for the Identify message:
+ * base64(sha256(base64(sha256(password + salt)) + challenge))
+ */
+function authenticate(password, { challenge, salt }) {
+    const sha256 = (text) => crypto.createHash("sha256").update(text).digest("base64");
+    return sha256(sha256(password + salt) + challenge);
+}
+
+/**
+ * Create a client. options: { url, password, timeout_ms }
+ */
+function createClient(options) {
+    let socket = null;
+    let ready = null;          // promise of the identified socket while connecting or connected
+    let connected = false;
+    let nextRequestId = 1;
+    const pending = new Map(); // requestId -> { resolve, reject, timer }
+
+    const failPending = (err) => {
+        for (let entry of pending.values()) {
+            clearTimeout(entry.timer);
+            entry.reject(err);
+        }
+        pending.clear();
+    };
+
+    const settle = (response) => {
+        const entry = pending.get(response.requestId);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        pending.delete(response.requestId);
+        const status = response.requestStatus || {};
+        if (status.result) {
+            entry.resolve(response.responseData || {});
+        } else {
+            entry.reject(new Error(`OBS ${response.requestType} failed: ${status.comment || `code ${status.code}`}`));
+        }
+    };
+
+    /**
+     * Open and identify the connection, or reuse the open one
+     */
+    function connect() {
+        if (ready) return ready;
+
+        let ws;
+        try {
+            ws = new WebSocket(options.url, "obswebsocket.json", { handshakeTimeout: options.timeout_ms });
+        } catch (err) {
+            return Promise.reject(new Error(`Invalid OBS address ${options.url}: ${err.message}`));
+        }
+        socket = ws;
+
+        ready = new Promise((resolve, reject) => {
+            let identified = false;
+
+            const fail = (message) => {
+                clearTimeout(timer);
+                reject(new Error(message));
+            };
+            const timer = setTimeout(() => {
+                fail(`OBS at ${options.url} did not answer within ${options.timeout_ms / 1000}s`);
+                ws.terminate();
+            }, options.timeout_ms);
+
+            ws.on("message", (data) => {
+                let message;
+                try {
+                    message = JSON.parse(data);
+                } catch (err) {
+                    return;
+                }
+
+                if (message.op === OP.HELLO) {
+                    const identify = { rpcVersion: RPC_VERSION, eventSubscriptions: 0 };
+                    if (message.d?.authentication) {
+                        if (!options.password) {
+                            fail("OBS asks for a password, set obs.password");
+                            ws.close();
+                            return;
+                        }
+                        identify.authentication = authenticate(options.password, message.d.authentication);
+                    }
+                    ws.send(JSON.stringify({ op: OP.IDENTIFY, d: identify }));
+                } else if (message.op === OP.IDENTIFIED) {
+                    identified = true;
+                    connected = socket === ws;
+                    clearTimeout(timer);
+                    resolve(ws);
+                } else if (message.op === OP.REQUEST_RESPONSE) {
+                    settle(message.d || {});
+                }
+            });
+
+            // Always followed by "close", which does the cleanup
+            ws.on("error", (err) => {
+                if (!identified) fail(`Could not connect to OBS at ${options.url}: ${err.message}`);
+            });
+
+            ws.on("close", (code, reason) => {
+                const why = CLOSE_REASONS[code] || String(reason || "") || `code ${code}`;
+                if (!identified) fail(`OBS closed the connection: ${why}`);
+                failPending(new Error(`OBS connection closed: ${why}`));
+                if (socket === ws) {
+                    socket = null;
+                    ready = null;
+                    connected = false;
+                }
+            });
+        });
+
+        // A failed attempt is retried by the next request
+        ready.catch(() => {});
+        return ready;
+    }
+
+    /**
+     * Send a request, resolves its responseData
+     */
+    async function request(requestType, requestData = {}) {
+        const ws = await connect();
+        const requestId = String(nextRequestId++);
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                pending.delete(requestId);
+                reject(new Error(`OBS did not answer ${requestType} within ${options.timeout_ms / 1000}s`));
+            }, options.timeout_ms);
+            pending.set(requestId, { resolve, reject, timer });
+            ws.send(JSON.stringify({ op: OP.REQUEST, d: { requestType, requestId, requestData } }));
+        });
+    }
+
+    return {
+        request,
+
+        /**
+         * Name of the scene currently on stream (the program scene, also in studio mode)
+         */
+        async getProgramScene() {
+            const data = await request("GetCurrentProgramScene");
+            // Renamed to sceneName in obs-websocket 5.3, the old field is kept for older versions
+            return data.sceneName ?? data.currentProgramSceneName;
+        },
+
+        /**
+         * PNG screenshot of a scene or source as OBS renders it, scaled to width (null = its own size)
+         */
+        async getScreenshot(sourceName, width = null) {
+            const requestData = { sourceName, imageFormat: "png" };
+            if (width) requestData.imageWidth = width;
+            const data = await request("GetSourceScreenshot", requestData);
+            const match = /^data:image\/png;base64,(.+)$/s.exec(data.imageData || "");
+            if (!match) throw new Error(`OBS returned no PNG image for "${sourceName}"`);
+            return Buffer.from(match[1], "base64");
+        },
+
+        /**
+         * Scene names and inputs ({ name, kind }) as listed by OBS
+         */
+        async listSources() {
+            const [{ scenes }, { inputs }] = await Promise.all([request("GetSceneList"), request("GetInputList")]);
+            return {
+                scenes: (scenes || []).map(scene => scene.sceneName),
+                inputs: (inputs || []).map(input => ({ name: input.inputName, kind: input.inputKind }))
+            };
+        },
+
+        /**
+         * Whether the connection is open and identified
+         */
+        isConnected() {
+            return connected;
+        },
+
+        /**
+         * Close the connection, requests still waiting are rejected
+         */
+        close() {
+            if (!socket) return;
+            const ws = socket;
+            socket = null;
+            ready = null;
+            connected = false;
+            failPending(new Error("OBS connection closed"));
+            ws.terminate();
+        }
+    };
+}
+
+module.exports = {
+    authenticate,
+    createClient
+};
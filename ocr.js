@@ -0,0 +1,143 @@
+/**
+ * Local OCR through tesseract.js
+ * - One worker is created lazily and reused for every request
+ * - Language data comes from the @tesseract.js-data/<lang> packages (or userdata/ocr), never the network
+ * - Worker creation and recognition are given up after a timeout, the worker is then thrown away
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { createWorker } = require("tesseract.js");
+
+let worker = null;
+let workerLanguage = null;
+
+/**
+ * Make sure userdata/ocr holds <lang>.traineddata for every language in "eng+deu",
+ * unpacking it from the installed @tesseract.js-data package when missing
+ */
+function ensureLanguageData(language, dataDir) {
+    for (let lang of language.split("+")) {
+        const file = path.join(dataDir, `${lang}.traineddata`);
+        if (fs.existsSync(file)) continue;
+
+        let packed;
+        try {
+            packed = require.resolve(`@tesseract.js-data/${lang}/4.0.0_best_int/${lang}.traineddata.gz`);
+        } catch (err) {
+            throw new Error(`No OCR language data for "${lang}", install @tesseract.js-data/${lang} or put ${lang}.traineddata in userdata/ocr`);
+        }
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(file, zlib.gunzipSync(fs.readFileSync(packed)));
+    }
+}
+
+/**
+ * Get (or create) the shared worker for a language
+ */
+async function getWorker(language) {
+    if (worker && workerLanguage === language) return worker;
+    if (worker) await terminate();
+
+    const dataDir = path.join(process.cwd(), "userdata", "ocr");
+    ensureLanguageData(language, dataDir);
+
+    workerLanguage = language;
+    // A local langPath keeps tesseract.js from fetching the data from its CDN
+    const pending = createWorker(language, 1, {
+        langPath: dataDir,
+        cachePath: dataDir,
+        cacheMethod: "none",
+        gzip: false,
+        // Failures reject the pending call anyway, without a handler tesseract.js also throws them uncaught
+        errorHandler: () => {}
+    });
+    worker = pending;
+
+    try {
+        return await pending;
+    } catch (err) {
+        // Unless a timeout already replaced it
+        if (worker === pending) {
+            worker = null;
+            workerLanguage = null;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Run OCR on an encoded image, failing with kind "timeout" after timeoutMs (null = no limit).
+ * Returns the full text and lines with word bounding boxes.
+ */
+async function recognize(buffer, language = "eng", timeoutMs = null) {
+    let timer = null;
+    let timedOut = false;
+    const timeout = new Promise((_, reject) => {
+        if (timeoutMs === null) return;
+        timer = setTimeout(() => {
+            timedOut = true;
+            const err = new Error(`OCR took longer than ${timeoutMs}ms`);
+            err.kind = "timeout";
+            reject(err);
+        }, timeoutMs);
+    });
+    const work = getWorker(language).then(w => {
+        // A worker that finished starting after the timeout has been discarded already
+        if (timedOut) throw new Error("OCR timed out");
+        return w.recognize(buffer);
+    });
+
+    let data;
+    try {
+        ({ data } = await Promise.race([work, timeout]));
+    } catch (err) {
+        // A stuck worker would block every later request, start over with a new one
+        if (err.kind === "timeout") discard();
+        throw err;
+    } finally {
+        clearTimeout(timer);
+    }
+
+    return {
+        text: data.text.trim(),
+        confidence: data.confidence,
+        lines: data.lines.map(line => ({
+            text: line.text.trim(),
+            bbox: line.bbox,
+            words: line.words.map(word => ({ text: word.text, bbox: word.bbox }))
+        }))
+    };
+}
+
+/**
+ * Drop the worker without waiting for it, it is terminated once (if ever) it finishes starting
+ */
+function discard() {
+    if (!worker) return;
+    const w = worker;
+    worker = null;
+    workerLanguage = null;
+    w.then(started => started.terminate()).catch(() => {});
+}
+
+/**
+ * Stop the worker, if one is running
+ */
+async function terminate() {
+    if (!worker) return;
+    const w = worker;
+    worker = null;
+    workerLanguage = null;
+    try {
+        await (await w).terminate();
+    } catch (err) {
+        // Ignore
+    }
+}
+
+module.exports = {
+    recognize,
+    terminate
+};
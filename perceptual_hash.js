@@ -0,0 +1,52 @@
+/**
+ * Perceptual hashing to tell whether two frames differ meaningfully
+ * - dHash: 64-bit difference hash on a 9x8 grayscale thumbnail
+ * - Robust to recompression and small noise, sensitive to layout changes
+ */
+
+const imageCodec = require("./image_codec");
+const { resize } = require("./preprocess");
+
+/**
+ * Compute the dHash of an RGBA image, returned as a BigInt
+ */
+function dHash(image) {
+    const thumb = resize(image, 9, 8);
+    const luma = (i) => 0.299 * thumb.data[i] + 0.587 * thumb.data[i + 1] + 0.114 * thumb.data[i + 2];
+
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            const left = luma((y * 9 + x) * 4);
+            const right = luma((y * 9 + x + 1) * 4);
+            hash = (hash << 1n) | (left > right ? 1n : 0n);
+        }
+    }
+    return hash;
+}
+
+/**
+ * dHash of an encoded image buffer
+ */
+function hashBuffer(buffer) {
+    return dHash(imageCodec.decodeImage(buffer));
+}
+
+/**
+ * Number of differing bits between two hashes (0 = same, 64 = opposite)
+ */
+function hammingDistance(a, b) {
+    let diff = a ^ b;
+    let count = 0;
+    while (diff > 0n) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+module.exports = {
+    dHash,
+    hashBuffer,
+    hammingDistance
+};
@@ -0,0 +1,127 @@
+/**
+ * Image preprocessing between capture and analysis
+ * - Crop, downscale, grayscale and recompress to keep requests small
+ * - Works on the RGBA images produced by image_codec.js
+ */
+
+const imageCodec = require("./image_codec");
+
+/**
+ * Crop an image to a rectangle, clamped to the image bounds
+ */
+function crop(image, rect) {
+    const x = Math.max(0, Math.min(image.width - 1, Math.floor(rect.x)));
+    const y = Math.max(0, Math.min(image.height - 1, Math.floor(rect.y)));
+    const width = Math.max(1, Math.min(image.width - x, Math.floor(rect.width)));
+    const height = Math.max(1, Math.min(image.height - y, Math.floor(rect.height)));
+
+    const data = Buffer.alloc(width * height * 4);
+    for (let row = 0; row < height; row++) {
+        const start = ((y + row) * image.width + x) * 4;
+        image.data.copy(data, row * width * 4, start, start + width * 4);
+    }
+    return { width, height, data };
+}
+
+/**
+ * Downscale an image with area averaging (box filter)
+ */
+function resize(image, width, height) {
+    const data = Buffer.alloc(width * height * 4);
+    const scaleX = image.width / width;
+    const scaleY = image.height / height;
+
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.floor(y * scaleY);
+        const y1 = Math.max(y0 + 1, Math.min(image.height, Math.floor((y + 1) * scaleY)));
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.floor(x * scaleX);
+            const x1 = Math.max(x0 + 1, Math.min(image.width, Math.floor((x + 1) * scaleX)));
+
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let sy = y0; sy < y1; sy++) {
+                let src = (sy * image.width + x0) * 4;
+                for (let sx = x0; sx < x1; sx++, src += 4) {
+                    r += image.data[src];
+                    g += image.data[src + 1];
+                    b += image.data[src + 2];
+                    a += image.data[src + 3];
+                }
+            }
+
+            const count = (y1 - y0) * (x1 - x0);
+            const dst = (y * width + x) * 4;
+            data[dst] = Math.round(r / count);
+            data[dst + 1] = Math.round(g / count);
+            data[dst + 2] = Math.round(b / count);
+            data[dst + 3] = Math.round(a / count);
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Scale an image down so its longest side is at most maxDimension
+ */
+function fitWithin(image, maxDimension) {
+    const longest = Math.max(image.width, image.height);
+    if (!maxDimension || longest <= maxDimension) return image;
+
+    const scale = maxDimension / longest;
+    return resize(
+        image,
+        Math.max(1, Math.round(image.width * scale)),
+        Math.max(1, Math.round(image.height * scale))
+    );
+}
+
+/**
+ * Convert an image to grayscale in place (Rec. 601 luma)
+ */
+function grayscale(image) {
+    const { data } = image;
+    for (let i = 0; i < data.length; i += 4) {
+        const luma = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+        data[i] = data[i + 1] = data[i + 2] = luma;
+    }
+    return image;
+}
+
+/**
+ * Run the preprocessing pipeline on an encoded image.
+ * Resolves to the new buffer, its MIME type and final dimensions.
+ */
+async function preprocessImage(buffer, options) {
+    let image = imageCodec.decodeImage(buffer);
+    const sourceWidth = image.width;
+    const sourceHeight = image.height;
+
+    if (options.crop) {
+        image = crop(image, options.crop);
+    }
+    image = fitWithin(image, options.max_dimension);
+    if (options.grayscale) {
+        image = grayscale(image);
+    }
+
+    // "original" keeps PNG/JPEG as they came in; BMP has no place in an API request
+    const format = options.format === "original"
+        ? (imageCodec.detectFormat(buffer) === "jpeg" ? "jpeg" : "png")
+        : options.format;
+    return {
+        buffer: await imageCodec.encodeImage(image, format, options.quality),
+        mimeType: `image/${format}`,
+        width: image.width,
+        height: image.height,
+        sourceWidth,
+        sourceHeight
+    };
+}
+
+module.exports = {
+    crop,
+    resize,
+    fitWithin,
+    grayscale,
+    preprocessImage
+};
@@ -0,0 +1,135 @@
+/**
+ * Prompt templates and profiles
+ * - Templates use {placeholder} variables, filled in per request
+ * - prompts/*.txt is the default profile, prompts/<name>/*.txt are named profiles
+ * - Files missing from a profile fall back to the default one
+ * - Templates with unknown placeholders are rejected when loading
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const PROMPT_FILES = ["webcam_analysis", "screenshot_analysis", "image_analysis", "webcam_burst", "screenshot_burst", "webcam_context", "screenshot_context", "image_context"];
+
+// Filled in for every request; {description} only exists once the image is analyzed.
+// {game} is always allowed but comes from the configured variables (empty if unset).
+// {frames} and {seconds} are only filled in for burst captures.
+const REQUEST_VARIABLES = ["user", "source", "time", "game", "type", "reward", "frames", "seconds"];
+const CONTEXT_VARIABLES = [...REQUEST_VARIABLES, "description"];
+
+// Set by the plugin, so they cannot be configured as custom variables
+const RESERVED_VARIABLES = CONTEXT_VARIABLES.filter(name => name !== "game");
+
+const DEFAULT_PROMPTS = {
+    webcam_analysis: "Describe what you see in this webcam image. Focus on the person, their appearance, expression, and any notable details. Be concise but descriptive.",
+    screenshot_analysis: "Describe what you see on this screen. Focus on the application, its content, and text. Be concise but descriptive.",
+    image_analysis: "Describe what you see in this image. Focus on the main subject, any people, and any text. Be concise but descriptive.",
+    webcam_burst: "These webcam frames were taken in a {seconds}-second window. Describe what the person does from the first frame to the last: the movement, the trick or the action, and how it ends. Be concise but descriptive.",
+    screenshot_burst: "These screenshots were taken in a {seconds}-second window. Describe what happens on the screen from the first frame to the last: what moves or changes, and how it ends. Be concise but descriptive.",
+    webcam_context: "{user} asked you to look at them through the webcam. What you see: {description}",
+    screenshot_context: "{user} asked you to look at their screen. What you see: {description}",
+    image_context: "{user} showed you an image. What you see: {description}"
+};
+
+/**
+ * Names of the placeholders used in a template
+ */
+function placeholders(template) {
+    return [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+}
+
+/**
+ * Placeholders of a template that are not in the allowed list
+ */
+function unknownPlaceholders(template, allowed) {
+    return [...new Set(placeholders(template).filter(name => !allowed.includes(name)))];
+}
+
+/**
+ * Replace {name} placeholders with values, unknown placeholders are left as-is
+ */
+function render(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+/**
+ * Placeholders allowed in a prompt file, custom variables included
+ */
+function allowedFor(key, customVariables = []) {
+    const base = key.endsWith("_context") ? CONTEXT_VARIABLES : REQUEST_VARIABLES;
+    return [...base, ...customVariables];
+}
+
+/**
+ * Make sure a context template mentions the description, appending it when missing
+ * (context files written before templating had no {description}, it always followed them)
+ */
+function withDescription(template) {
+    if (placeholders(template).includes("description")) return template;
+    return `${template} What you see: {description}`;
+}
+
+/**
+ * Read the prompt files of one folder, returns { prompts, problems }
+ */
+function readProfile(dir, label, customVariables) {
+    const prompts = {};
+    const problems = [];
+    for (let key of PROMPT_FILES) {
+        const file = path.join(dir, `${key}.txt`);
+        if (!fs.existsSync(file)) continue;
+
+        let template = fs.readFileSync(file, "utf8").trim();
+        if (key.endsWith("_context")) template = withDescription(template);
+        const unknown = unknownPlaceholders(template, allowedFor(key, customVariables));
+        if (unknown.length > 0) {
+            problems.push(`${label}/${key}.txt: unknown placeholder${unknown.length > 1 ? "s" : ""} ${unknown.map(name => `{${name}}`).join(", ")}`);
+            continue;
+        }
+        prompts[key] = template;
+    }
+    return { prompts, problems };
+}
+
+/**
+ * Load the default profile and every named profile from a prompts folder.
+ * Returns { profiles: { default: {...}, name: {...} }, problems: [] }, where every profile has all prompt keys.
+ */
+function loadProfiles(dir, customVariables = []) {
+    const base = readProfile(dir, "prompts", customVariables);
+    const profiles = { default: { ...DEFAULT_PROMPTS, ...base.prompts } };
+    const problems = [...base.problems];
+
+    for (let entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+        const profile = readProfile(path.join(dir, entry.name), `prompts/${entry.name}`, customVariables);
+        profiles[entry.name] = { ...profiles.default, ...profile.prompts };
+        problems.push(...profile.problems);
+    }
+
+    return { profiles, problems };
+}
+
+/**
+ * Write the default prompt files into an empty prompts folder
+ */
+function writeDefaults(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    for (let key of PROMPT_FILES) {
+        fs.writeFileSync(path.join(dir, `${key}.txt`), DEFAULT_PROMPTS[key]);
+    }
+}
+
+module.exports = {
+    PROMPT_FILES,
+    REQUEST_VARIABLES,
+    CONTEXT_VARIABLES,
+    RESERVED_VARIABLES,
+    DEFAULT_PROMPTS,
+    placeholders,
+    unknownPlaceholders,
+    render,
+    withDescription,
+    loadProfiles,
+    writeDefaults
+};
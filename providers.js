@@ -0,0 +1,317 @@
+/**
+ * Vision provider backends
+ * - Each provider builds its own request, auth headers and parses its own response
+ * - Selected through VISION_CONFIG.provider
+ * - Images are passed as a list of { mimeType, base64 }, in order
+ * - stream describes how to ask for and read a streamed response
+ * - structured(body, schema) asks for JSON matching a JSON Schema, where the API supports it
+ * - parseUsage reads token counts as { prompt_tokens, completion_tokens }, or null when the reply has none
+ */
+
+/**
+ * Build an OpenAI chat-completions request (also used by OpenAI-compatible servers)
+ */
+function buildOpenAIRequest(config, prompt, images) {
+    const headers = { "Content-Type": "application/json" };
+    if (config.api_key) {
+        headers["Authorization"] = `Bearer ${config.api_key}`;
+    }
+
+    return {
+        headers,
+        body: {
+            model: config.model,
+            messages: [
+                {
+                    role: "user",
+                    content: [
+                        { type: "text", text: prompt },
+                        ...images.map(image => ({
+                            type: "image_url",
+                            image_url: {
+                                url: `data:${image.mimeType};base64,${image.base64}`,
+                                ...(config.detail ? { detail: config.detail } : {})
+                            }
+                        }))
+                    ]
+                }
+            ],
+            max_tokens: config.max_tokens
+        }
+    };
+}
+
+/**
+ * Read the text out of an OpenAI chat-completions response
+ */
+function parseOpenAIResponse(data) {
+    return data.choices[0].message.content;
+}
+
+/**
+ * Token usage of an OpenAI chat-completions response (or its final stream chunk)
+ */
+function parseOpenAIUsage(data) {
+    if (!data.usage) return null;
+    return { prompt_tokens: data.usage.prompt_tokens || 0, completion_tokens: data.usage.completion_tokens || 0 };
+}
+
+/**
+ * Streaming for OpenAI chat-completions: SSE with choices[0].delta.content
+ */
+const OPENAI_STREAM = {
+    format: "sse",
+    body: (body) => ({ ...body, stream: true }),
+    parseEvent: (event) => event.choices?.[0]?.delta?.content || "",
+    parseUsage: parseOpenAIUsage
+};
+
+/**
+ * Constrain an OpenAI chat-completions reply to a JSON Schema
+ */
+function structuredOpenAIRequest(body, schema) {
+    return {
+        ...body,
+        response_format: {
+            type: "json_schema",
+            json_schema: { name: "vision_result", strict: true, schema }
+        }
+    };
+}
+
+/**
+ * Estimate image tokens using OpenAI's 512px tile formula
+ */
+function estimateOpenAITokens(width, height, detail) {
+    if (detail === "low") return 85;
+
+    // Fit within 2048x2048, then shortest side down to 768
+    let scale = Math.min(1, 2048 / Math.max(width, height));
+    scale *= Math.min(1, 768 / (Math.min(width, height) * scale));
+    const tiles = Math.ceil((width * scale) / 512) * Math.ceil((height * scale) / 512);
+    return 85 + 170 * tiles;
+}
+
+/**
+ * Token usage of a Gemini response or stream chunk
+ */
+function parseGeminiUsage(data) {
+    const usage = data.usageMetadata;
+    if (!usage) return null;
+    return { prompt_tokens: usage.promptTokenCount || 0, completion_tokens: usage.candidatesTokenCount || 0 };
+}
+
+/**
+ * Token usage of an Ollama response (prompt_eval_count is left out when the prompt was cached)
+ */
+function parseOllamaUsage(data) {
+    if (data.eval_count === undefined && data.prompt_eval_count === undefined) return null;
+    return { prompt_tokens: data.prompt_eval_count || 0, completion_tokens: data.eval_count || 0 };
+}
+
+const PROVIDERS = {
+    openai: {
+        endpoint: "https://api.openai.com/v1/chat/completions",
+        requiresKey: true,
+        authKey: "openai",
+        buildRequest: buildOpenAIRequest,
+        parseResponse: parseOpenAIResponse,
+        parseUsage: parseOpenAIUsage,
+        // Streamed usage is opt-in, and not every compatible server accepts stream_options
+        stream: { ...OPENAI_STREAM, body: (body) => ({ ...body, stream: true, stream_options: { include_usage: true } }) },
+        structured: structuredOpenAIRequest,
+        estimateTokens: estimateOpenAITokens
+    },
+
+    // llama.cpp server, LM Studio, vLLM... anything speaking /v1/chat/completions
+    "openai-compatible": {
+        endpoint: "http://localhost:1234/v1/chat/completions",
+        requiresKey: false,
+        authKey: "openai_compatible",
+        buildRequest: buildOpenAIRequest,
+        parseResponse: parseOpenAIResponse,
+        parseUsage: parseOpenAIUsage,
+        stream: OPENAI_STREAM,
+        structured: structuredOpenAIRequest,
+        estimateTokens: estimateOpenAITokens
+    },
+
+    // No JSON mode, structured replies rely on the prompt alone
+    anthropic: {
+        endpoint: "https://api.anthropic.com/v1/messages",
+        requiresKey: true,
+        authKey: "anthropic",
+        buildRequest: (config, prompt, images) => ({
+            headers: {
+                "Content-Type": "application/json",
+                "x-api-key": config.api_key,
+                "anthropic-version": "2023-06-01"
+            },
+            body: {
+                model: config.model,
+                max_tokens: config.max_tokens,
+                messages: [
+                    {
+                        role: "user",
+                        content: [
+                            ...images.map(image => ({
+                                type: "image",
+                                source: { type: "base64", media_type: image.mimeType, data: image.base64 }
+                            })),
+                            { type: "text", text: prompt }
+                        ]
+                    }
+                ]
+            }
+        }),
+        parseResponse: (data) => data.content
+            .filter(block => block.type === "text")
+            .map(block => block.text)
+            .join(""),
+        parseUsage: (data) => data.usage
+            ? { prompt_tokens: data.usage.input_tokens || 0, completion_tokens: data.usage.output_tokens || 0 }
+            : null,
+        stream: {
+            format: "sse",
+            body: (body) => ({ ...body, stream: true }),
+            parseEvent: (event) => {
+                if (event.type === "error") throw new Error(event.error?.message || "Stream error");
+                return event.type === "content_block_delta" ? event.delta.text || "" : "";
+            },
+            // Input tokens arrive with message_start, the output count with the final message_delta
+            parseUsage: (event) => {
+                if (event.type === "message_start" && event.message?.usage) {
+                    return { prompt_tokens: event.message.usage.input_tokens || 0 };
+                }
+                if (event.type === "message_delta" && event.usage) {
+                    return { completion_tokens: event.usage.output_tokens || 0 };
+                }
+                return null;
+            }
+        },
+        // Images are scaled to a 1568px long edge, then roughly (w * h) / 750 tokens, capped near 1600
+        estimateTokens: (width, height) => {
+            const scale = Math.min(1, 1568 / Math.max(width, height));
+            return Math.min(1600, Math.ceil((width * scale * height * scale) / 750));
+        }
+    },
+
+    gemini: {
+        endpoint: "https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent",
+        requiresKey: true,
+        authKey: "gemini",
+        buildRequest: (config, prompt, images) => ({
+            headers: {
+                "Content-Type": "application/json",
+                "x-goog-api-key": config.api_key
+            },
+            body: {
+                contents: [
+                    {
+                        role: "user",
+                        parts: [
+                            { text: prompt },
+                            ...images.map(image => ({
+                                inline_data: { mime_type: image.mimeType, data: image.base64 }
+                            }))
+                        ]
+                    }
+                ],
+                generationConfig: { maxOutputTokens: config.max_tokens }
+            }
+        }),
+        parseResponse: (data) => data.candidates[0].content.parts
+            .map(part => part.text || "")
+            .join(""),
+        parseUsage: parseGeminiUsage,
+        stream: {
+            format: "sse",
+            endpoint: "https://generativelanguage.googleapis.com/v1beta/models/{model}:streamGenerateContent?alt=sse",
+            body: (body) => body,
+            parseEvent: (event) => (event.candidates?.[0]?.content?.parts || [])
+                .map(part => part.text || "")
+                .join(""),
+            // Every chunk carries the running totals, the last one wins
+            parseUsage: parseGeminiUsage
+        },
+        // JSON output only, Gemini's responseSchema is an OpenAPI subset rather than JSON Schema
+        structured: (body) => ({
+            ...body,
+            generationConfig: { ...body.generationConfig, responseMimeType: "application/json" }
+        }),
+        // 258 tokens for small images, otherwise 258 per 768x768 tile
+        estimateTokens: (width, height) => {
+            if (width <= 384 && height <= 384) return 258;
+            return 258 * Math.ceil(width / 768) * Math.ceil(height / 768);
+        }
+    },
+
+    // Native Ollama API (images are sent as bare base64, no data URL)
+    ollama: {
+        endpoint: "http://localhost:11434/api/chat",
+        requiresKey: false,
+        authKey: "ollama",
+        buildRequest: (config, prompt, images) => ({
+            headers: { "Content-Type": "application/json" },
+            body: {
+                model: config.model,
+                stream: false,
+                messages: [
+                    { role: "user", content: prompt, images: images.map(image => image.base64) }
+                ],
+                options: { num_predict: config.max_tokens }
+            }
+        }),
+        parseResponse: (data) => data.message.content,
+        parseUsage: parseOllamaUsage,
+        stream: {
+            format: "ndjson",
+            body: (body) => ({ ...body, stream: true }),
+            parseEvent: (event) => {
+                if (event.error) throw new Error(event.error);
+                return event.message?.content || "";
+            },
+            // Only the final (done) event has the counts
+            parseUsage: (event) => event.done ? parseOllamaUsage(event) : null
+        },
+        structured: (body, schema) => ({ ...body, format: schema }),
+        estimateTokens: estimateOpenAITokens
+    }
+};
+
+/**
+ * Get a provider by name, throws on unknown providers
+ */
+function getProvider(name) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown vision provider "${name}" (available: ${Object.keys(PROVIDERS).join(", ")})`);
+    }
+    return provider;
+}
+
+/**
+ * Resolve the endpoint URL for a config, falling back to the provider default.
+ * Providers with a separate streaming URL use it when streaming unless vision.endpoint is set.
+ */
+function resolveEndpoint(config, streaming = false) {
+    const provider = getProvider(config.provider);
+    const fallback = streaming && provider.stream?.endpoint ? provider.stream.endpoint : provider.endpoint;
+    const endpoint = config.endpoint || fallback;
+    return endpoint.replace("{model}", encodeURIComponent(config.model));
+}
+
+/**
+ * Pick the API key for a provider out of userdata/auth/auth.json
+ */
+function resolveApiKey(name, auth) {
+    const provider = getProvider(name);
+    return auth[provider.authKey]?.token || auth.vision_api_key || null;
+}
+
+module.exports = {
+    PROVIDERS,
+    getProvider,
+    resolveEndpoint,
+    resolveApiKey
+};
@@ -0,0 +1,125 @@
+/**
+ * Privacy masking applied to captures before they are saved or uploaded
+ * - Fixed blackout rectangles
+ * - Optional OCR pass that blacks out text matching sensitive patterns
+ */
+
+const imageCodec = require("./image_codec");
+const ocr = require("./ocr");
+
+const BUILTIN_PATTERNS = {
+    email: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+    api_key: /\b(?:sk-[A-Za-z0-9_-]{16,}|AIza[0-9A-Za-z_-]{30,}|gh[pousr]_[A-Za-z0-9]{30,}|xox[abprs]-[A-Za-z0-9-]{10,}|oauth:[a-z0-9]{20,})/g,
+    stream_key: /\b(?:live_\d+_[A-Za-z0-9]{20,}|[a-z0-9]{4}(?:-[a-z0-9]{4}){4})\b/g
+};
+
+// Extra pixels around masked words, OCR boxes are tight
+const MASK_PADDING = 4;
+
+/**
+ * Turn pattern names/regex strings from config into RegExps
+ */
+function compilePatterns(patterns) {
+    return patterns.map(pattern => BUILTIN_PATTERNS[pattern] || new RegExp(pattern, "g"));
+}
+
+/**
+ * Fill a rectangle with black, clamped to the image bounds
+ */
+function fillRect(image, rect) {
+    const x0 = Math.max(0, Math.floor(rect.x));
+    const y0 = Math.max(0, Math.floor(rect.y));
+    const x1 = Math.min(image.width, Math.ceil(rect.x + rect.width));
+    const y1 = Math.min(image.height, Math.ceil(rect.y + rect.height));
+
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            const i = (y * image.width + x) * 4;
+            image.data[i] = image.data[i + 1] = image.data[i + 2] = 0;
+            image.data[i + 3] = 255;
+        }
+    }
+}
+
+/**
+ * Find the word boxes of an OCR line covered by pattern matches
+ */
+function findSensitiveWords(line, regexes) {
+    // Character offset of every word inside the line text rebuilt from the words
+    let offset = 0;
+    const spans = line.words.map(word => {
+        const span = { start: offset, end: offset + word.text.length, bbox: word.bbox };
+        offset += word.text.length + 1;
+        return span;
+    });
+    const text = line.words.map(word => word.text).join(" ");
+
+    const hits = new Set();
+    for (let regex of regexes) {
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+            }
+            const end = match.index + match[0].length;
+            for (let span of spans) {
+                if (span.start < end && span.end > match.index) hits.add(span);
+            }
+        }
+    }
+    return [...hits].map(span => span.bbox);
+}
+
+/**
+ * Mask an encoded capture. Returns the masked PNG buffer and what was masked.
+ * options: { blackout: [rects], ocr_mask: bool, mask_patterns: [names or regex strings], ocr_language, ocr_timeout_ms }
+ * Fails closed: if the OCR pass fails or times out, an error is thrown and no image is returned.
+ */
+async function redactImage(buffer, options) {
+    const blackout = options.blackout || [];
+    if (blackout.length === 0 && !options.ocr_mask) {
+        return { buffer, masked: 0 };
+    }
+
+    const image = imageCodec.decodeImage(buffer);
+    for (let rect of blackout) {
+        fillRect(image, rect);
+    }
+
+    let masked = blackout.length;
+    if (options.ocr_mask) {
+        // OCR the already blacked-out image, nothing inside a blackout needs matching
+        let result;
+        try {
+            result = await ocr.recognize(imageCodec.encodePng(image), options.ocr_language, options.ocr_timeout_ms ?? null);
+        } catch (err) {
+            const failure = new Error(`OCR masking failed, capture not used (${err.message})`);
+            failure.kind = err.kind || "capture";
+            throw failure;
+        }
+        const regexes = compilePatterns(options.mask_patterns);
+        for (let line of result.lines) {
+            for (let bbox of findSensitiveWords(line, regexes)) {
+                fillRect(image, {
+                    x: bbox.x0 - MASK_PADDING,
+                    y: bbox.y0 - MASK_PADDING,
+                    width: bbox.x1 - bbox.x0 + MASK_PADDING * 2,
+                    height: bbox.y1 - bbox.y0 + MASK_PADDING * 2
+                });
+                masked++;
+            }
+        }
+    }
+
+    return { buffer: imageCodec.encodePng(image), masked };
+}
+
+module.exports = {
+    BUILTIN_PATTERNS,
+    compilePatterns,
+    fillRect,
+    findSensitiveWords,
+    redactImage
+};
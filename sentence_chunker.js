@@ -0,0 +1,52 @@
+/**
+ * Turns streamed text into sentence-sized chunks
+ * - A chunk ends at sentence punctuation followed by whitespace, or at a line break
+ * - Short sentences are joined until a chunk reaches minChars, so "Oh. Hi." is not two messages
+ */
+
+// Sentence end (with closing quotes/brackets) followed by whitespace, or a line break
+const BREAK = /[.!?…]+["'”’)\]]*\s+|\n+/g;
+
+/**
+ * Create a chunker, onChunk(text) is called with every finished chunk
+ */
+function createSentenceChunker(onChunk, minChars = 40) {
+    let buffer = "";
+
+    const emit = (text) => {
+        text = text.trim();
+        if (text) onChunk(text);
+    };
+
+    return {
+        /**
+         * Add streamed text, emitting every chunk it completes
+         */
+        push(text) {
+            buffer += text;
+            let start = 0;
+            BREAK.lastIndex = 0;
+            let match;
+            while ((match = BREAK.exec(buffer)) !== null) {
+                const end = match.index + match[0].length;
+                if (buffer.slice(start, end).trim().length >= minChars) {
+                    emit(buffer.slice(start, end));
+                    start = end;
+                }
+            }
+            buffer = buffer.slice(start);
+        },
+
+        /**
+         * Emit whatever is left once the stream has ended
+         */
+        flush() {
+            emit(buffer);
+            buffer = "";
+        }
+    };
+}
+
+module.exports = {
+    createSentenceChunker
+};
@@ -0,0 +1,132 @@
+/**
+ * Structured (JSON) vision results
+ * - One schema, written in the config schema format, validated with the config validator
+ * - Converted to JSON Schema for providers that can constrain their output
+ * - The prose description stays part of the result so the character can still speak it
+ */
+
+const { validateValue } = require("./config");
+
+const EMOTIONS = ["happy", "sad", "angry", "surprised", "scared", "tired", "focused", "neutral", "unknown"];
+
+const RESULT_SCHEMA = {
+    type: "object",
+    required: ["description", "people_count", "emotion", "app", "visible_text", "safety"],
+    properties: {
+        description: { type: "string", minLength: 1 },
+        people_count: { type: "integer", min: 0 },
+        emotion: { type: "string", enum: EMOTIONS },
+        app: { type: "string", nullable: true },
+        visible_text: { type: "array", items: { type: "string" } },
+        safety: {
+            type: "object",
+            required: ["nsfw", "violence", "personal_info"],
+            properties: {
+                nsfw: { type: "boolean" },
+                violence: { type: "boolean" },
+                personal_info: { type: "boolean" }
+            }
+        }
+    }
+};
+
+const FIELD_HINTS = [
+    "description: what you see, in the same style you would normally answer",
+    "people_count: number of people visible (0 if none)",
+    `emotion: the main person's apparent emotion, one of ${EMOTIONS.join(", ")} (unknown if nobody is visible)`,
+    "app: the main application or game on screen, or null",
+    "visible_text: short pieces of readable text, most prominent first (at most 10)",
+    "safety: nsfw, violence and personal_info (addresses, emails, keys...) as true/false"
+];
+
+/**
+ * Convert a config-format schema node into JSON Schema (strict: every property required, no extras)
+ */
+function toJsonSchema(node) {
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    const schema = { type: node.nullable ? [...types, "null"] : (types.length === 1 ? types[0] : types) };
+
+    if (node.enum) schema.enum = node.enum;
+    if (node.min !== undefined) schema.minimum = node.min;
+    if (node.max !== undefined) schema.maximum = node.max;
+    if (node.items) schema.items = toJsonSchema(node.items);
+    if (node.properties) {
+        schema.properties = {};
+        for (let [key, child] of Object.entries(node.properties)) {
+            schema.properties[key] = toJsonSchema(child);
+        }
+        schema.required = Object.keys(node.properties);
+        schema.additionalProperties = false;
+    }
+    return schema;
+}
+
+const JSON_SCHEMA = toJsonSchema(RESULT_SCHEMA);
+
+/**
+ * Add the JSON reply instructions to an analysis prompt
+ */
+function buildPrompt(prompt) {
+    return [
+        prompt,
+        "",
+        "Reply with a single JSON object and nothing else, with these fields:",
+        ...FIELD_HINTS.map(hint => `- ${hint}`)
+    ].join("\n");
+}
+
+/**
+ * Find the JSON object in a reply (models like to wrap it in code fences or prose)
+ */
+function extractJson(text) {
+    const start = text.indexOf("{");
+    const end = text.lastIndexOf("}");
+    if (start === -1 || end < start) return null;
+    try {
+        return JSON.parse(text.slice(start, end + 1));
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Drop keys the schema does not know, so a chatty model does not fail validation
+ */
+function pickKnown(value, node) {
+    if (!node.properties || typeof value !== "object" || value === null || Array.isArray(value)) return value;
+    const result = {};
+    for (let [key, child] of Object.entries(node.properties)) {
+        if (key in value) result[key] = pickKnown(value[key], child);
+    }
+    return result;
+}
+
+/**
+ * Parse and validate a structured reply.
+ * Returns { result, description, errors }: result is null when the reply is not valid,
+ * description is the best prose available either way.
+ */
+function parseReply(text) {
+    const parsed = extractJson(text);
+    if (parsed === null) {
+        return { result: null, description: text.trim(), errors: ["reply is not a JSON object"] };
+    }
+
+    const result = pickKnown(parsed, RESULT_SCHEMA);
+    if (Array.isArray(result.visible_text)) {
+        result.visible_text = result.visible_text.slice(0, 10);
+    }
+    const errors = validateValue(result, RESULT_SCHEMA);
+    const description = typeof parsed.description === "string" && parsed.description.trim()
+        ? parsed.description.trim()
+        : text.trim();
+    return { result: errors.length === 0 ? result : null, description, errors };
+}
+
+module.exports = {
+    EMOTIONS,
+    RESULT_SCHEMA,
+    JSON_SCHEMA,
+    buildPrompt,
+    parseReply
+};
@@ -0,0 +1,106 @@
+/**
+ * archive.js: archived copies with their sidecars, and retention by age, count and size
+ */
+
+const { test, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// userdata/saved is resolved against the working directory when archive.js is loaded
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vision-archive-"));
+const previousDir = process.cwd();
+process.chdir(dir);
+const archive = require("../archive");
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.now();
+
+after(() => {
+    process.chdir(previousDir);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => fs.rmSync(archive.SAVED_DIR, { recursive: true, force: true }));
+
+/**
+ * Archive a capture of size bytes with a sidecar, last modified daysOld days ago
+ */
+function archived(name, daysOld, size = 1000) {
+    const capture = path.join(dir, name);
+    fs.writeFileSync(capture, Buffer.alloc(size));
+    const saved = archive.saveCapture(capture);
+    archive.writeSidecar(capture, { type: "screenshot" });
+    const mtime = new Date(NOW - daysOld * DAY);
+    fs.utimesSync(saved, mtime, mtime);
+    return saved;
+}
+
+const names = () => archive.listArchive().map(entry => path.basename(entry.imagePath));
+
+test("sidecars are merged and live next to the archived image", () => {
+    const capture = path.join(dir, "webcam_1.png");
+    fs.writeFileSync(capture, "png");
+    const saved = archive.saveCapture(capture);
+    archive.writeSidecar(capture, { type: "webcam", user: "carol" });
+    archive.writeSidecar(capture, { description: "A cat." });
+
+    assert.strictEqual(saved, path.join(archive.SAVED_DIR, "webcam_1.png"));
+    const sidecar = JSON.parse(fs.readFileSync(path.join(archive.SAVED_DIR, "webcam_1.json"), "utf8"));
+    assert.deepStrictEqual(sidecar, { type: "webcam", user: "carol", description: "A cat." });
+
+    // Nothing to describe without an archived image
+    archive.writeSidecar(path.join(dir, "never_saved.png"), { type: "webcam" });
+    assert.strictEqual(fs.existsSync(path.join(archive.SAVED_DIR, "never_saved.json")), false);
+});
+
+test("no limits keeps everything", () => {
+    archived("a.png", 30);
+    archived("b.png", 1);
+
+    assert.strictEqual(archive.pruneArchive({ max_age_days: null, max_count: null, max_total_mb: null }, NOW), 0);
+    assert.deepStrictEqual(names(), ["a.png", "b.png"]);
+});
+
+test("captures older than max_age_days are removed with their sidecars", () => {
+    archived("old.png", 10);
+    archived("recent.jpg", 2);
+
+    assert.strictEqual(archive.pruneArchive({ max_age_days: 7, max_count: null, max_total_mb: null }, NOW), 1);
+    assert.deepStrictEqual(names(), ["recent.jpg"]);
+    assert.deepStrictEqual(fs.readdirSync(archive.SAVED_DIR).sort(), ["recent.jpg", "recent.json"]);
+});
+
+test("max_count keeps the newest captures", () => {
+    archived("first.png", 3);
+    archived("second.png", 2);
+    archived("third.png", 1);
+
+    assert.strictEqual(archive.pruneArchive({ max_age_days: null, max_count: 2, max_total_mb: null }, NOW), 1);
+    assert.deepStrictEqual(names(), ["second.png", "third.png"]);
+});
+
+test("max_total_mb removes the oldest until the rest fits, sidecars included", () => {
+    const size = 400 * 1024;
+    archived("first.png", 3, size);
+    archived("second.png", 2, size);
+    archived("third.png", 1, size);
+
+    // Two images fit in 1 MB, but not with their sidecars and a third
+    assert.strictEqual(archive.pruneArchive({ max_age_days: null, max_count: null, max_total_mb: 1 }, NOW), 1);
+    assert.deepStrictEqual(names(), ["second.png", "third.png"]);
+
+    assert.strictEqual(archive.pruneArchive({ max_age_days: null, max_count: null, max_total_mb: 0.5 }, NOW), 1);
+    assert.deepStrictEqual(names(), ["third.png"]);
+});
+
+test("the limits apply together", () => {
+    archived("expired.png", 40);
+    archived("a.png", 3);
+    archived("b.png", 2);
+    archived("c.png", 1);
+
+    assert.strictEqual(archive.pruneArchive({ max_age_days: 30, max_count: 2, max_total_mb: 10 }, NOW), 2);
+    assert.deepStrictEqual(names(), ["b.png", "c.png"]);
+});
@@ -0,0 +1,74 @@
+/**
+ * Chat (untrusted) input: permissions, webcam approval and the wake phrase classifier
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { fixture, startProvider, until, loadPlugin } = require("./helpers");
+
+let provider;
+let env;
+
+before(async () => {
+    // The intent classifier always says "none", so classified messages never trigger a capture
+    provider = await startProvider(body => JSON.stringify(body).includes("You classify messages") ? "none" : "A viewer-requested description.");
+    env = loadPlugin({
+        cooldown_ms: 0,
+        vision: { endpoint: provider.url, retries: 0 },
+        wake: { mode: "llm" },
+        permissions: { commands: { "!webcam": "everyone" }, mods: ["somemod"], user_limit: null, approve_webcam: true }
+    });
+    env.plugin.setCaptureSource("webcam", async () => fixture("webcam.jpg"));
+});
+
+after(async () => {
+    env.unload();
+    await provider.close();
+});
+
+/**
+ * Files in a userdata folder of the sandbox
+ */
+function files(folder) {
+    const dir = path.join(env.dir, "userdata", folder);
+    return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+}
+
+/**
+ * Ask for the webcam from chat, answer the approval with the given command and return the queued line
+ */
+async function webcamWithAnswer(answer) {
+    env.logs.length = 0;
+    assert.strictEqual(await env.plugin.onHandleCommand("!webcam", false, "viewer"), true);
+    await until(() => env.logs.some(line => line.includes("Type !vision-approve")));
+    await env.plugin.onHandleCommand(answer, true);
+    return await until(() => env.plugin.onInputRequest());
+}
+
+test("a denied webcam capture is deleted and never archived", async () => {
+    const queued = await webcamWithAnswer("!vision-deny");
+
+    assert.match(queued, /streamer said no/);
+    assert.strictEqual(provider.requests.length, 0);
+    assert.deepStrictEqual(files("saved"), []);
+    assert.deepStrictEqual(files("temp"), []);
+});
+
+test("an approved webcam capture is archived with its request", async () => {
+    const queued = await webcamWithAnswer("!vision-approve");
+
+    assert.strictEqual(queued, "A viewer-requested description.");
+    assert.strictEqual(files("saved").filter(name => name.endsWith(".png")).length, 1);
+    await until(() => files("temp").length === 0);
+});
+
+test("chat users who may not use wake phrases never reach the classifier", async () => {
+    provider.requests.length = 0;
+    assert.strictEqual(await env.plugin.onHandleCommand("hey could you glance over at my screen", false, "viewer"), false);
+    assert.strictEqual(provider.requests.length, 0);
+
+    assert.strictEqual(await env.plugin.onHandleCommand("hey could you glance over at my screen", false, "somemod"), false);
+    assert.strictEqual(provider.requests.length, 1);
+});
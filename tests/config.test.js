@@ -0,0 +1,55 @@
+/**
+ * config.json validation and hot reload
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { validateConfig } = require("../config");
+const { loadPlugin } = require("./helpers");
+
+let env;
+
+before(() => {
+    env = loadPlugin({ hot_reload: true });
+});
+
+after(() => {
+    env.unload();
+});
+
+/**
+ * Save config.json like editors that write a temp file and rename it over the original
+ */
+function saveAtomically(config) {
+    const file = path.join(env.dir, "plugin", "config.json");
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(config));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Resolve once a log line matches, polling every few ms
+ */
+async function waitForLog(pattern, timeoutMs = 3000) {
+    const start = Date.now();
+    while (!env.logs.some(line => pattern.test(line))) {
+        if (Date.now() - start > timeoutMs) throw new Error(`No log line matching ${pattern}`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test("preprocess.format takes WebP but not GIF", () => {
+    assert.deepStrictEqual(validateConfig({ preprocess: { format: "webp" } }), []);
+    assert.deepStrictEqual(validateConfig({ preprocess: { format: "gif" } }), [
+        'preprocess.format: must be one of jpeg, png, webp, original, got "gif"'
+    ]);
+});
+
+test("atomic saves are picked up, again and again", async () => {
+    for (let cooldown of [1000, 2000]) {
+        env.logs.length = 0;
+        saveAtomically({ hot_reload: true, cooldown_ms: cooldown });
+        await waitForLog(/config\.json changed, reloading/);
+    }
+});
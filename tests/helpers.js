@@ -0,0 +1,139 @@
+/**
+ * Shared test helpers
+ * - loadPlugin runs a copy of the plugin in a temp folder, so config.json, prompts/ and userdata/ never touch the checkout
+ * - startProvider answers like the OpenAI chat completions API and records every request
+ */
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const FIXTURES = path.join(__dirname, "fixtures");
+
+/**
+ * Contents of a file in tests/fixtures
+ */
+function fixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name));
+}
+
+/**
+ * Local stand-in for a vision provider.
+ * reply(body) returns the text to answer with, or { status, body } to fail with that status.
+ * Resolves { url, requests, close }.
+ */
+function startProvider(reply = () => "A test description.") {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = "";
+        req.on("data", chunk => raw += chunk);
+        req.on("end", () => {
+            const body = JSON.parse(raw);
+            requests.push(body);
+            const answer = reply(body);
+            res.setHeader("content-type", "application/json");
+            if (typeof answer === "object") {
+                res.statusCode = answer.status;
+                res.end(JSON.stringify(answer.body || { error: { message: `HTTP ${answer.status}` } }));
+                return;
+            }
+            res.end(JSON.stringify({
+                choices: [{ message: { content: answer } }],
+                usage: { prompt_tokens: 100, completion_tokens: 10 }
+            }));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, "127.0.0.1", () => resolve({
+            url: `http://127.0.0.1:${server.address().port}/v1`,
+            requests,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+/**
+ * Images sent with a chat completions request, as { mimeType, buffer }
+ */
+function sentImages(body) {
+    return body.messages
+        .flatMap(message => Array.isArray(message.content) ? message.content : [])
+        .filter(part => part.type === "image_url")
+        .map(part => {
+            const [, mimeType, base64] = /^data:([^;]+);base64,(.*)$/s.exec(part.image_url.url);
+            return { mimeType, buffer: Buffer.from(base64, "base64") };
+        });
+}
+
+/**
+ * Resolve with the first truthy value of check(), polling every few ms
+ */
+async function until(check, timeoutMs = 5000) {
+    const start = Date.now();
+    for (;;) {
+        const result = check();
+        if (result) return result;
+        if (Date.now() - start > timeoutMs) throw new Error("Timed out waiting");
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Copy the plugin into a temp folder with the given config.json, make that the working
+ * directory and load it. Returns { plugin, dir, logs, memory, state, reconfigure, unload }.
+ */
+function loadPlugin(config = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vision-test-"));
+    const pluginDir = path.join(dir, "plugin");
+    fs.mkdirSync(pluginDir);
+    for (let file of fs.readdirSync(ROOT).filter(name => name.endsWith(".js") || name === "plugin.json")) {
+        fs.copyFileSync(path.join(ROOT, file), path.join(pluginDir, file));
+    }
+    fs.symlinkSync(path.join(ROOT, "node_modules"), path.join(pluginDir, "node_modules"), "junction");
+    const writeConfig = (settings) => fs.writeFileSync(path.join(pluginDir, "config.json"), JSON.stringify({ hot_reload: false, ...settings }));
+    writeConfig(config);
+    fs.mkdirSync(path.join(dir, "userdata", "auth"), { recursive: true });
+    fs.writeFileSync(path.join(dir, "userdata", "auth", "auth.json"), JSON.stringify({ vision_api_key: "test-key" }));
+
+    // userdata/ (temp files, archive, metrics) is created in the working directory
+    const previousDir = process.cwd();
+    process.chdir(dir);
+    const plugin = require(path.join(pluginDir, "index.js"));
+
+    const logs = [];
+    const log = (level) => (...args) => logs.push(`${level} ${args.map(arg => arg instanceof Error ? arg.message : String(arg)).join(" ")}`);
+    const memory = [];
+    const state = { memory: { addMemory: (message) => memory.push(message) }, prevent_ext_input: false };
+    plugin.onLoad({ print: log("print"), warn: log("warn"), debug: log("debug") }, { state });
+
+    return {
+        plugin,
+        dir,
+        logs,
+        memory,
+        state,
+        /**
+         * Replace config.json and reload it like !vision-reload-config does
+         */
+        async reconfigure(settings) {
+            writeConfig(settings);
+            await plugin.onHandleCommand("!vision-reload-config", true);
+        },
+        unload() {
+            plugin.onQuit();
+            process.chdir(previousDir);
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = {
+    fixture,
+    startProvider,
+    sentImages,
+    until,
+    loadPlugin
+};
@@ -0,0 +1,92 @@
+/**
+ * image_codec.js against the BMP fixtures in tests/fixtures
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const imageCodec = require("../image_codec");
+const { fixture } = require("./helpers");
+
+/**
+ * RGBA of the pixel at x, y
+ */
+function pixel(image, x, y) {
+    const i = (y * image.width + x) * 4;
+    return [...image.data.subarray(i, i + 4)];
+}
+
+test("decodes a bottom-up 24-bit BMP with padded rows", () => {
+    const image = imageCodec.decodeBmp(fixture("rgb24.bmp"));
+
+    assert.deepStrictEqual([image.width, image.height], [3, 2]);
+    assert.deepStrictEqual(pixel(image, 0, 0), [255, 0, 0, 255]);
+    assert.deepStrictEqual(pixel(image, 1, 0), [0, 255, 0, 255]);
+    assert.deepStrictEqual(pixel(image, 2, 0), [0, 0, 255, 255]);
+    assert.deepStrictEqual(pixel(image, 0, 1), [255, 255, 255, 255]);
+    assert.deepStrictEqual(pixel(image, 2, 1), [128, 128, 128, 255]);
+});
+
+test("decodes a top-down 32-bit BMP as opaque", () => {
+    const image = imageCodec.decodeBmp(fixture("rgb32_topdown.bmp"));
+
+    assert.deepStrictEqual([image.width, image.height], [2, 2]);
+    assert.deepStrictEqual(pixel(image, 0, 0), [10, 20, 30, 255]);
+    assert.deepStrictEqual(pixel(image, 1, 1), [100, 110, 120, 255]);
+});
+
+test("decodes a 32-bit BITFIELDS BMP with its alpha mask", () => {
+    const image = imageCodec.decodeBmp(fixture("bitfields32.bmp"));
+
+    assert.deepStrictEqual(pixel(image, 0, 0), [0x11, 0x22, 0x33, 0x80]);
+    assert.deepStrictEqual(pixel(image, 1, 0), [0x44, 0x55, 0x66, 0xff]);
+});
+
+test("rejects BMPs it can't decode", () => {
+    assert.throws(() => imageCodec.decodeBmp(fixture("indexed8.bmp")), /bit depth: 8/);
+    assert.throws(() => imageCodec.decodeBmp(fixture("rgb24.bmp").subarray(0, 60)), /truncated/);
+    assert.throws(() => imageCodec.decodeBmp(fixture("desktop.png")), /Not a BMP/);
+});
+
+test("detects formats by signature", () => {
+    assert.strictEqual(imageCodec.detectFormat(fixture("rgb24.bmp")), "bmp");
+    assert.strictEqual(imageCodec.detectFormat(fixture("desktop.png")), "png");
+    assert.strictEqual(imageCodec.detectFormat(fixture("webcam.jpg")), "jpeg");
+    assert.strictEqual(imageCodec.detectFormat(Buffer.from("GIF89a0000")), "gif");
+    assert.strictEqual(imageCodec.detectFormat(Buffer.from("RIFF0000WEBPVP8 ")), "webp");
+    assert.strictEqual(imageCodec.detectFormat(Buffer.from("hello world")), null);
+});
+
+test("PNG round-trips pixels exactly", () => {
+    const image = imageCodec.decodeBmp(fixture("rgb24.bmp"));
+    const decoded = imageCodec.decodeImage(imageCodec.encodePng(image));
+
+    assert.deepStrictEqual([decoded.width, decoded.height], [3, 2]);
+    assert.deepStrictEqual([...decoded.data], [...image.data]);
+});
+
+test("JPEG keeps size and stays close to the colours", async () => {
+    const image = imageCodec.decodeImage(fixture("desktop.png"));
+    const decoded = imageCodec.decodeImage(await imageCodec.encodeImage(image, "jpeg", 95));
+
+    assert.deepStrictEqual([decoded.width, decoded.height], [image.width, image.height]);
+    // Middle of the light window area
+    for (let [channel, value] of pixel(decoded, 160, 100).slice(0, 3).entries()) {
+        assert.ok(Math.abs(value - pixel(image, 160, 100)[channel]) <= 12, `channel ${channel} is ${value}`);
+    }
+});
+
+test("WebP follows the quality setting", async () => {
+    const image = imageCodec.decodeImage(fixture("desktop.png"));
+    const high = await imageCodec.encodeImage(image, "webp", 95);
+    const low = await imageCodec.encodeImage(image, "webp", 10);
+
+    assert.strictEqual(imageCodec.detectFormat(high), "webp");
+    assert.strictEqual(imageCodec.detectFormat(low), "webp");
+    assert.ok(low.length < high.length, `quality 10 is ${low.length} bytes, quality 95 is ${high.length}`);
+});
+
+test("refuses unknown output formats", async () => {
+    const image = imageCodec.decodeBmp(fixture("rgb24.bmp"));
+    await assert.rejects(imageCodec.encodeImage(image, "gif", 80), /Unsupported output format: gif/);
+    assert.throws(() => imageCodec.decodeImage(Buffer.from("GIF89a0000")), /Unsupported image format/);
+});
@@ -0,0 +1,135 @@
+/**
+ * image_sources.js: which addresses count as private, downloading images and finding links in chat
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const dns = require("dns");
+const http = require("http");
+const imageSources = require("../image_sources");
+const { fixture } = require("./helpers");
+
+// Resolves to a public address, and the connection is routed to the local server
+const PUBLIC_HOST = "images.example";
+
+let server;
+let base;
+const hits = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        hits.push(req.url);
+        if (req.url === "/cat.png") {
+            res.setHeader("content-type", "image/png");
+            res.end(fixture("desktop.png"));
+        } else if (req.url === "/page.png") {
+            res.setHeader("content-type", "text/html");
+            res.end("<html></html>");
+        } else if (req.url === "/to-private.png") {
+            res.statusCode = 302;
+            res.setHeader("location", `http://127.0.0.1:${server.address().port}/cat.png`);
+            res.end();
+        } else {
+            res.statusCode = 404;
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Run fn with PUBLIC_HOST resolving to a public address for the private address check,
+ * while the socket actually connects to the local server
+ */
+async function withPublicHost(fn) {
+    const realLookup = dns.lookup;
+    const realConnection = http.Agent.prototype.createConnection;
+    dns.lookup = (hostname, options, callback) => {
+        if (hostname !== PUBLIC_HOST) return realLookup(hostname, options, callback);
+        if (options.all) return callback(null, [{ address: "93.184.216.34", family: 4 }]);
+        callback(null, "93.184.216.34", 4);
+    };
+    http.Agent.prototype.createConnection = function (options, callback) {
+        if (options.host !== PUBLIC_HOST) return realConnection.call(this, options, callback);
+        const lookup = (hostname, lookupOptions, done) => options.lookup(hostname, lookupOptions, (err) => {
+            if (err) return done(err);
+            if (lookupOptions.all) return done(null, [{ address: "127.0.0.1", family: 4 }]);
+            done(null, "127.0.0.1", 4);
+        });
+        return realConnection.call(this, { ...options, lookup }, callback);
+    };
+    try {
+        return await fn();
+    } finally {
+        dns.lookup = realLookup;
+        http.Agent.prototype.createConnection = realConnection;
+    }
+}
+
+const urls = (extra = {}) => ({ max_mb: 1, timeout_ms: 5000, allow_private: false, ...extra });
+
+test("private, multicast, reserved and NAT64 addresses are private", () => {
+    const blocked = [
+        "127.0.0.1", "10.1.2.3", "172.20.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0",
+        "198.18.0.1", "198.19.255.254", "224.0.0.251", "239.255.255.250", "240.0.0.1", "255.255.255.255",
+        "::1", "::", "fd00::1", "fe80::1", "ff02::1", "::ffff:127.0.0.1", "::ffff:a00:1",
+        "64:ff9b::10.0.0.1", "64:ff9b::a9fe:a9fe", "64:ff9b:1::1", "not-an-ip"
+    ];
+    for (let address of blocked) {
+        assert.strictEqual(imageSources.isPrivateAddress(address), true, address);
+    }
+    for (let address of ["8.8.8.8", "198.20.0.1", "2001:4860:4860::8888", "::ffff:8.8.8.8", "64:ff9b::808:808"]) {
+        assert.strictEqual(imageSources.isPrivateAddress(address), false, address);
+    }
+});
+
+test("private hosts are refused before anything is sent", async () => {
+    hits.length = 0;
+    await assert.rejects(imageSources.fetchImage(`${base}/cat.png`, urls()), { kind: "image", message: /127\.0\.0\.1 is a private address/ });
+    await assert.rejects(
+        imageSources.fetchImage(`http://localhost:${server.address().port}/cat.png`, urls()),
+        { kind: "image", message: /localhost resolves to a private address/ }
+    );
+    assert.deepStrictEqual(hits, []);
+});
+
+test("a redirect to a private host is not followed", async () => {
+    hits.length = 0;
+    const url = `http://${PUBLIC_HOST}:${server.address().port}/to-private.png`;
+    await withPublicHost(() => assert.rejects(imageSources.fetchImage(url, urls()), { kind: "image", message: /private address/ }));
+    assert.deepStrictEqual(hits, ["/to-private.png"]);
+});
+
+test("a public host serves the image", async () => {
+    const url = `http://${PUBLIC_HOST}:${server.address().port}/cat.png`;
+    const buffer = await withPublicHost(() => imageSources.fetchImage(url, urls()));
+    assert.deepStrictEqual(buffer, fixture("desktop.png"));
+});
+
+test("downloads over max_mb are refused", async () => {
+    const maxMb = (fixture("desktop.png").length - 1) / 1024 / 1024;
+    await assert.rejects(
+        imageSources.fetchImage(`${base}/cat.png`, urls({ allow_private: true, max_mb: maxMb })),
+        { kind: "image", message: /is larger than/ }
+    );
+});
+
+test("pages that are not images are refused", async () => {
+    await assert.rejects(
+        imageSources.fetchImage(`${base}/page.png`, urls({ allow_private: true })),
+        { kind: "image", message: /is not an image \(text\/html\)/ }
+    );
+    await assert.rejects(imageSources.fetchImage("file:///etc/passwd", urls()), { kind: "image", message: /Only http\(s\) URLs/ });
+});
+
+test("image links are found in chat messages", () => {
+    assert.strictEqual(imageSources.findImageUrl("look at this https://i.example.com/cat.png!"), "https://i.example.com/cat.png");
+    assert.strictEqual(imageSources.findImageUrl("(http://x.example/a/b.JPEG?size=large)"), "http://x.example/a/b.JPEG?size=large");
+    assert.strictEqual(imageSources.findImageUrl("https://example.com/page.html"), null);
+    assert.strictEqual(imageSources.findImageUrl("https://example.com/cat.png.html"), null);
+    assert.strictEqual(imageSources.findImageUrl("no links here"), null);
+    assert.strictEqual(imageSources.findImageUrl(null), null);
+});
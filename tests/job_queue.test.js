@@ -0,0 +1,112 @@
+/**
+ * job_queue.js: priority order, FIFO within a priority, eviction at max depth and cancelling
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createQueue } = require("../job_queue");
+
+/**
+ * A queue whose jobs record their label when they run. The first job enqueued is held
+ * until release() so the rest stay pending.
+ */
+function heldQueue(maxDepth) {
+    const ran = [];
+    let release;
+    const gate = new Promise(resolve => release = resolve);
+    const queue = createQueue(async (job) => {
+        if (job.label === "blocker") await gate;
+        ran.push(job.label);
+        return job.label;
+    }, maxDepth);
+    const blocker = queue.enqueue({ label: "blocker", priority: 0 });
+    return { queue, ran, release, blocker };
+}
+
+const labels = (jobs) => jobs.map(job => job.label);
+
+test("higher priorities run first, equal ones in the order they came", async () => {
+    const { queue, ran, release } = heldQueue(5);
+    const jobs = [
+        queue.enqueue({ label: "ambient", priority: 0 }),
+        queue.enqueue({ label: "wake 1", priority: 1 }),
+        queue.enqueue({ label: "command", priority: 3 }),
+        queue.enqueue({ label: "wake 2", priority: 1 }),
+        queue.enqueue({ label: "reward", priority: 2 })
+    ];
+    assert.deepStrictEqual(labels(queue.status().pending), ["command", "reward", "wake 1", "wake 2", "ambient"]);
+
+    release();
+    await Promise.all(jobs.map(({ done }) => done));
+    assert.deepStrictEqual(ran, ["blocker", "command", "reward", "wake 1", "wake 2", "ambient"]);
+    assert.ok(jobs.every(({ job }) => job.status === "done"));
+    assert.strictEqual(queue.isBusy(), false);
+});
+
+test("a full queue drops its newest lowest-priority job for a more important one", async () => {
+    const { queue, ran, release } = heldQueue(2);
+    const first = queue.enqueue({ label: "wake 1", priority: 1 });
+    const second = queue.enqueue({ label: "wake 2", priority: 1 });
+
+    const command = queue.enqueue({ label: "command", priority: 3 });
+    assert.strictEqual(second.job.status, "dropped");
+    assert.strictEqual(await second.done, null);
+    assert.deepStrictEqual(labels(queue.status().pending), ["command", "wake 1"]);
+
+    // Nothing waiting is less important than an equal or lower priority job
+    const wake = queue.enqueue({ label: "wake 3", priority: 1 });
+    const ambient = queue.enqueue({ label: "ambient", priority: 0 });
+    assert.strictEqual(wake.job.status, "dropped");
+    assert.strictEqual(ambient.job.status, "dropped");
+    assert.deepStrictEqual(labels(queue.status().pending), ["command", "wake 1"]);
+
+    release();
+    await Promise.all([first.done, command.done]);
+    assert.deepStrictEqual(ran, ["blocker", "command", "wake 1"]);
+    assert.deepStrictEqual(labels(queue.status().history), ["wake 2", "wake 3", "ambient", "blocker", "command", "wake 1"]);
+});
+
+test("setMaxDepth applies to the next job", async () => {
+    const { queue, release } = heldQueue(5);
+    const jobs = [queue.enqueue({ label: "a", priority: 1 }), queue.enqueue({ label: "b", priority: 1 })];
+    queue.setMaxDepth(1);
+
+    const late = queue.enqueue({ label: "c", priority: 1 });
+    assert.strictEqual(late.job.status, "dropped");
+    assert.strictEqual(queue.status().maxDepth, 1);
+
+    release();
+    await Promise.all(jobs.map(({ done }) => done));
+});
+
+test("clear cancels waiting jobs and abortRunning signals the running one", async () => {
+    const ran = [];
+    const queue = createQueue((job) => new Promise((resolve, reject) => {
+        ran.push(job.label);
+        job.signal.addEventListener("abort", () => reject(new Error("aborted")));
+    }));
+    const running = queue.enqueue({ label: "running", priority: 1 });
+    const waiting = queue.enqueue({ label: "waiting", priority: 1 });
+
+    assert.strictEqual(queue.clear(), 1);
+    assert.strictEqual(waiting.job.status, "cancelled");
+    assert.strictEqual(queue.abortRunning(), true);
+    assert.strictEqual(await running.done, null);
+    assert.strictEqual(running.job.status, "cancelled");
+    assert.deepStrictEqual(ran, ["running"]);
+    assert.strictEqual(queue.abortRunning(), false);
+});
+
+test("a job without a result or with an error counts as failed", async () => {
+    const queue = createQueue(async (job) => {
+        if (job.label === "throws") throw new Error("no camera");
+        return null;
+    });
+    const empty = queue.enqueue({ label: "empty" });
+    const throws = queue.enqueue({ label: "throws" });
+    await Promise.all([empty.done, throws.done]);
+
+    assert.strictEqual(empty.job.status, "failed");
+    assert.strictEqual(throws.job.status, "failed");
+    assert.strictEqual(throws.job.error, "no camera");
+});
@@ -0,0 +1,130 @@
+/**
+ * metrics.js: daily totals across midnight and month ends, persisting them, pricing and budgets
+ */
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const metrics = require("../metrics");
+
+const PRICES = {
+    "gpt-4o": { input: 2.50, output: 10.00 },
+    "gpt-4o-mini": { input: 0.15, output: 0.60 }
+};
+
+// Local times, days and months follow the local clock
+const JAN_31_LATE = new Date(2026, 0, 31, 23, 59).getTime();
+const FEB_1_EARLY = new Date(2026, 1, 1, 0, 1).getTime();
+const FEB_2 = new Date(2026, 1, 2, 12, 0).getTime();
+
+let dir;
+let file;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vision-metrics-"));
+    file = path.join(dir, "userdata", "vision_metrics.json");
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A missing file starts every test from zero
+beforeEach(() => {
+    fs.rmSync(file, { force: true });
+    metrics.load(file);
+    metrics.resetSession();
+    metrics.configure({ prices: PRICES });
+});
+
+/**
+ * A successful call with a million prompt tokens
+ */
+const call = (model = "gpt-4o-mini") => ({ model, latencyMs: 800, imageBytes: 1000, usage: { prompt_tokens: 1e6, completion_tokens: 0 } });
+
+test("calls are priced by the longest matching model prefix", () => {
+    assert.strictEqual(metrics.estimateCost("gpt-4o-mini-2024-07-18", { prompt_tokens: 1e6, completion_tokens: 1e6 }), 0.75);
+    assert.strictEqual(metrics.estimateCost("gpt-4o-2024-08-06", { prompt_tokens: 1e6, completion_tokens: 0 }), 2.50);
+    assert.strictEqual(metrics.estimateCost("llava", { prompt_tokens: 10 }), null);
+    assert.strictEqual(metrics.estimateCost("llava", { prompt_tokens: 10 }, true), 0);
+    assert.strictEqual(metrics.estimateCost("gpt-4o", null), null);
+});
+
+test("a new day and a new month start from zero", () => {
+    metrics.recordCall(call(), JAN_31_LATE);
+    metrics.recordCapture(JAN_31_LATE);
+    metrics.recordCall(call(), FEB_1_EARLY);
+
+    assert.strictEqual(metrics.periodTotals("day", JAN_31_LATE).calls, 1);
+    assert.strictEqual(metrics.periodTotals("day", FEB_1_EARLY).calls, 1);
+    assert.strictEqual(metrics.periodTotals("day", FEB_1_EARLY).captures, 0);
+    assert.strictEqual(metrics.periodTotals("day", FEB_2).calls, 0);
+    assert.strictEqual(metrics.periodTotals("month", FEB_2).calls, 1);
+    assert.strictEqual(metrics.periodTotals("month", JAN_31_LATE).cost, 0.15);
+
+    // The session spans both days
+    assert.strictEqual(metrics.sessionStats().calls, 2);
+});
+
+test("daily totals survive a restart, the session does not", () => {
+    metrics.recordCall(call(), FEB_1_EARLY);
+    metrics.recordCall({ model: "llava", latencyMs: 2000, usage: null }, FEB_1_EARLY);
+    metrics.recordCall({ model: "gpt-4o", latencyMs: 30000, errorKind: "timeout" }, FEB_1_EARLY);
+    metrics.save(file, FEB_2);
+
+    metrics.load(file);
+    metrics.resetSession();
+
+    const day = metrics.periodTotals("day", FEB_1_EARLY);
+    assert.strictEqual(day.calls, 3);
+    assert.strictEqual(day.failures, 1);
+    assert.strictEqual(day.unpriced_calls, 1);
+    assert.strictEqual(day.image_bytes, 1000);
+    assert.strictEqual(day.cost, 0.15);
+    assert.deepStrictEqual(day.models["gpt-4o-mini"], { calls: 1, prompt_tokens: 1e6, completion_tokens: 0, cost: 0.15 });
+    assert.strictEqual(metrics.sessionStats().calls, 0);
+});
+
+test("saving drops days past the retention window", () => {
+    const longAgo = new Date(2024, 6, 1, 12, 0).getTime();
+    metrics.recordCall(call(), longAgo);
+    metrics.recordCall(call(), FEB_1_EARLY);
+    metrics.save(file, FEB_2);
+
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(file, "utf8")).days), ["2026-02-01"]);
+});
+
+test("a broken metrics file starts from zero", () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, "{ not json");
+    metrics.load(file);
+
+    assert.strictEqual(metrics.periodTotals("month", FEB_2).calls, 0);
+});
+
+test("the budget is spent once today's or this month's cost reaches the cap", () => {
+    metrics.recordCall(call(), JAN_31_LATE);
+    metrics.recordCall(call(), FEB_1_EARLY);
+    metrics.recordCall(call(), FEB_2);
+
+    assert.strictEqual(metrics.checkBudget({ daily_usd: null, monthly_usd: null }, FEB_2), null);
+    assert.strictEqual(metrics.checkBudget({ daily_usd: 0.20, monthly_usd: 1.00 }, FEB_2), null);
+    assert.deepStrictEqual(metrics.checkBudget({ daily_usd: 0.15, monthly_usd: null }, FEB_2), { period: "day", spent: 0.15, limit: 0.15 });
+
+    // January's call does not count towards February
+    const monthly = metrics.checkBudget({ daily_usd: null, monthly_usd: 0.30 }, FEB_2);
+    assert.strictEqual(monthly.period, "month");
+    assert.ok(Math.abs(monthly.spent - 0.30) < 1e-9, `spent ${monthly.spent}`);
+    assert.strictEqual(metrics.checkBudget({ daily_usd: null, monthly_usd: 0.31 }, FEB_2), null);
+});
+
+test("latency percentiles only cover successful calls", () => {
+    for (let latency of [100, 200, 300, 400]) {
+        metrics.recordCall({ model: "gpt-4o-mini", latencyMs: latency, usage: null });
+    }
+    metrics.recordCall({ model: "gpt-4o-mini", latencyMs: 30000, errorKind: "timeout" });
+
+    const stats = metrics.sessionStats();
+    assert.deepStrictEqual(stats.latency, { p50: 200, p90: 400, p99: 400 });
+    assert.deepStrictEqual(stats.failure_kinds, { timeout: 1 });
+});
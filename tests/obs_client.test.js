@@ -0,0 +1,153 @@
+/**
+ * obs_client.js against a local server speaking the OBS WebSocket v5 protocol
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { WebSocketServer } = require("ws");
+const obsClient = require("../obs_client");
+const { fixture } = require("./helpers");
+
+/**
+ * Stand-in for obs-websocket. password: null = no authentication.
+ * Resolves { url, connections, requests, close }, requests holds every request's d.
+ */
+function startObs(password = null) {
+    const server = new WebSocketServer({ port: 0, host: "127.0.0.1" });
+    const state = { connections: 0, requests: [] };
+    const auth = { challenge: "+IxH4CnCiqpX1rM9scsNynZzbOe4KhDeYcTNS3PDaeY=", salt: "lM1GncleQOaCu9lT1yeUZhFYnqhsLLP1G5lAGo3ixaI=" };
+
+    server.on("connection", (ws, req) => {
+        state.connections++;
+        assert.strictEqual(req.headers["sec-websocket-protocol"], "obswebsocket.json");
+        ws.send(JSON.stringify({ op: 0, d: { obsWebSocketVersion: "5.5.0", rpcVersion: 1, ...(password ? { authentication: auth } : {}) } }));
+
+        ws.on("message", (data) => {
+            const { op, d } = JSON.parse(data);
+            if (op === 1) {
+                // Computed here from the protocol docs, not with the client's own helper
+                const sha256 = text => crypto.createHash("sha256").update(text).digest("base64");
+                if (password && d.authentication !== sha256(sha256(password + auth.salt) + auth.challenge)) {
+                    ws.close(4009, "Authentication failed.");
+                    return;
+                }
+                ws.send(JSON.stringify({ op: 2, d: { negotiatedRpcVersion: d.rpcVersion } }));
+            } else if (op === 6) {
+                state.requests.push(d);
+                ws.send(JSON.stringify({ op: 7, d: { requestType: d.requestType, requestId: d.requestId, ...answer(d) } }));
+            }
+        });
+    });
+
+    return new Promise(resolve => {
+        server.on("listening", () => resolve({
+            url: `ws://127.0.0.1:${server.address().port}`,
+            get connections() {
+                return state.connections;
+            },
+            requests: state.requests,
+            close: () => new Promise(done => {
+                server.clients.forEach(ws => ws.terminate());
+                server.close(done);
+            })
+        }));
+    });
+}
+
+/**
+ * requestStatus and responseData for a request
+ */
+function answer({ requestType, requestData }) {
+    const ok = (responseData) => ({ requestStatus: { result: true, code: 100 }, responseData });
+    switch (requestType) {
+        case "GetCurrentProgramScene":
+            return ok({ sceneName: "Gaming", sceneUuid: "1" });
+        case "GetSourceScreenshot":
+            if (requestData.sourceName !== "Gaming") {
+                return { requestStatus: { result: false, code: 600, comment: `No source was found by the name of \`${requestData.sourceName}\`.` } };
+            }
+            return ok({ imageData: `data:image/png;base64,${fixture("desktop.png").toString("base64")}` });
+        case "GetSceneList":
+            return ok({ scenes: [{ sceneName: "Gaming" }, { sceneName: "BRB" }] });
+        case "GetInputList":
+            return ok({ inputs: [{ inputName: "Game Capture", inputKind: "game_capture" }] });
+        default:
+            return { requestStatus: { result: false, code: 204, comment: "Unknown request type" } };
+    }
+}
+
+test("authenticates with the password and takes a screenshot of the program scene", async () => {
+    const obs = await startObs("hunter2");
+    const client = obsClient.createClient({ url: obs.url, password: "hunter2", timeout_ms: 2000 });
+    try {
+        const scene = await client.getProgramScene();
+        const png = await client.getScreenshot(scene, 640);
+
+        assert.strictEqual(scene, "Gaming");
+        assert.ok(png.equals(fixture("desktop.png")));
+        assert.deepStrictEqual(obs.requests[1].requestData, { sourceName: "Gaming", imageFormat: "png", imageWidth: 640 });
+        assert.strictEqual(client.isConnected(), true);
+        assert.strictEqual(obs.connections, 1);
+    } finally {
+        client.close();
+        await obs.close();
+    }
+});
+
+test("connects without authentication when OBS has no password", async () => {
+    const obs = await startObs();
+    const client = obsClient.createClient({ url: obs.url, password: null, timeout_ms: 2000 });
+    try {
+        assert.deepStrictEqual(await client.listSources(), {
+            scenes: ["Gaming", "BRB"],
+            inputs: [{ name: "Game Capture", kind: "game_capture" }]
+        });
+    } finally {
+        client.close();
+        await obs.close();
+    }
+});
+
+test("a wrong password is reported", async () => {
+    const obs = await startObs("hunter2");
+    const client = obsClient.createClient({ url: obs.url, password: "letmein", timeout_ms: 2000 });
+    try {
+        await assert.rejects(client.getProgramScene(), /wrong password/);
+        assert.strictEqual(client.isConnected(), false);
+    } finally {
+        client.close();
+        await obs.close();
+    }
+});
+
+test("a missing password is reported", async () => {
+    const obs = await startObs("hunter2");
+    const client = obsClient.createClient({ url: obs.url, password: null, timeout_ms: 2000 });
+    try {
+        await assert.rejects(client.getProgramScene(), /set obs\.password/);
+    } finally {
+        client.close();
+        await obs.close();
+    }
+});
+
+test("failed requests carry OBS's comment", async () => {
+    const obs = await startObs();
+    const client = obsClient.createClient({ url: obs.url, password: null, timeout_ms: 2000 });
+    try {
+        await assert.rejects(client.getScreenshot("Webcam"), /GetSourceScreenshot failed: No source was found/);
+    } finally {
+        client.close();
+        await obs.close();
+    }
+});
+
+test("an unreachable OBS fails the request", async () => {
+    const obs = await startObs();
+    const url = obs.url;
+    await obs.close();
+
+    const client = obsClient.createClient({ url, password: null, timeout_ms: 2000 });
+    await assert.rejects(client.getProgramScene(), /Could not connect to OBS/);
+});
@@ -0,0 +1,47 @@
+/**
+ * ocr.js: local language data and the timeout
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ocr = require("../ocr");
+const { fixture } = require("./helpers");
+
+let dir;
+let previousDir;
+
+// Language data is unpacked into userdata/ocr of the working directory
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vision-ocr-"));
+    previousDir = process.cwd();
+    process.chdir(dir);
+});
+
+after(async () => {
+    await ocr.terminate();
+    process.chdir(previousDir);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("recognizes with the bundled English data", async () => {
+    const result = await ocr.recognize(fixture("desktop.png"), "eng", 60000);
+
+    assert.strictEqual(typeof result.text, "string");
+    assert.ok(Array.isArray(result.lines));
+    assert.ok(fs.existsSync(path.join(dir, "userdata", "ocr", "eng.traineddata")));
+});
+
+test("gives up with a timeout error", async () => {
+    await assert.rejects(ocr.recognize(fixture("desktop.png"), "eng", 1), err => err.kind === "timeout");
+
+    // The next request gets a fresh worker
+    const result = await ocr.recognize(fixture("desktop.png"), "eng", 60000);
+    assert.strictEqual(typeof result.text, "string");
+});
+
+test("names the package to install for missing languages", async () => {
+    await assert.rejects(ocr.recognize(fixture("desktop.png"), "xyz", 60000), /install @tesseract\.js-data\/xyz/);
+});
@@ -0,0 +1,195 @@
+/**
+ * End-to-end tests: the plugin driven through onHandleCommand with fixture capture sources
+ * and a local provider endpoint
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const jpeg = require("jpeg-js");
+const { fixture, startProvider, sentImages, loadPlugin } = require("./helpers");
+
+let provider;
+let replyWith = () => "A test description.";
+let env;
+
+before(async () => {
+    provider = await startProvider((body) => replyWith(body));
+    env = loadPlugin(settings());
+    env.plugin.setCaptureSource("webcam", async () => fixture("webcam.jpg"));
+    env.plugin.setCaptureSource("screenshot", async () => fixture("desktop.png"));
+});
+
+after(async () => {
+    env.unload();
+    await provider.close();
+});
+
+/**
+ * Config for the test plugin, cooldown_ms 0 unless extra says otherwise
+ */
+function settings(extra = {}) {
+    return {
+        cooldown_ms: 0,
+        vision: { endpoint: provider.url, retries: 0 },
+        screenshot: { regions: { corner: { x: 0, y: 0, width: 100, height: 50 } } },
+        webcam_health: { retry_delay_ms: 10 },
+        ...extra
+    };
+}
+
+/**
+ * Send a command like w-AI-fu does, returns the handler's result and what it queued for the character
+ */
+async function send(command, trusted = true, user = null) {
+    provider.requests.length = 0;
+    const handled = await env.plugin.onHandleCommand(command, trusted, user);
+    return { handled, queued: env.plugin.onInputRequest() };
+}
+
+test("!webcam sends the fixture and queues the description", async () => {
+    replyWith = () => "Someone is smiling at the camera.";
+    const { handled, queued } = await send("!webcam");
+
+    assert.strictEqual(handled, true);
+    assert.strictEqual(queued, "Someone is smiling at the camera.");
+    assert.strictEqual(provider.requests.length, 1);
+    const [image] = sentImages(provider.requests[0]);
+    assert.strictEqual(image.mimeType, "image/jpeg");
+    assert.match(env.memory[env.memory.length - 1], /^\[VISION\] .*Someone is smiling at the camera\./);
+    assert.strictEqual(env.state.prevent_ext_input, false);
+});
+
+test("the same fixture twice is not a frozen camera", async () => {
+    replyWith = () => "Still smiling.";
+    await send("!webcam");
+    const { queued } = await send("!webcam");
+
+    assert.strictEqual(queued, "Still smiling.");
+    assert.strictEqual(provider.requests.length, 1);
+});
+
+test("only questions about the image are follow-ups", async () => {
+    replyWith = () => "A person in a room.";
+    await send("!webcam");
+
+    const unrelated = await send("is it raining there?");
+    assert.strictEqual(unrelated.handled, false);
+    assert.strictEqual(provider.requests.length, 0);
+
+    replyWith = () => "The shirt is blue.";
+    const followUp = await send("what colour is my shirt?");
+    assert.strictEqual(followUp.handled, true);
+    assert.strictEqual(followUp.queued, "The shirt is blue.");
+    assert.strictEqual(sentImages(provider.requests[0]).length, 1);
+});
+
+test("a wake phrase takes a screenshot", async () => {
+    replyWith = () => "A code editor.";
+    const { handled, queued } = await send("look at my screen");
+
+    assert.strictEqual(handled, true);
+    assert.strictEqual(queued, "A code editor.");
+    assert.strictEqual(provider.requests.length, 1);
+});
+
+test("regions are cropped before the image is sent", async () => {
+    replyWith = () => "A corner.";
+    await send("!screenshot region:corner");
+
+    const [image] = sentImages(provider.requests[0]);
+    const decoded = jpeg.decode(image.buffer);
+    assert.deepStrictEqual([decoded.width, decoded.height], [100, 50]);
+});
+
+test("the archive keeps the capture with its request", async () => {
+    replyWith = () => "Archived.";
+    await send("!screenshot");
+
+    const savedDir = path.join(env.dir, "userdata", "saved");
+    const sidecars = fs.readdirSync(savedDir).filter(name => name.endsWith(".json"))
+        .map(name => JSON.parse(fs.readFileSync(path.join(savedDir, name), "utf8")));
+    const sidecar = sidecars.find(entry => entry.description === "Archived.");
+    assert.ok(sidecar, "no sidecar for the request");
+    assert.strictEqual(sidecar.type, "screenshot");
+    assert.strictEqual(sidecar.source, "command");
+});
+
+test("a failing provider queues the fallback line", async () => {
+    replyWith = () => ({ status: 401 });
+    const { queued } = await send("!screenshot");
+
+    assert.match(queued, /API key/);
+});
+
+test("a black webcam frame is refused without calling the provider", async () => {
+    env.plugin.setCaptureSource("webcam", async () => fixture("black.png"));
+    try {
+        const { queued } = await send("!webcam");
+        assert.strictEqual(provider.requests.length, 0);
+        assert.match(queued, /camera/);
+    } finally {
+        env.plugin.setCaptureSource("webcam", async () => fixture("webcam.jpg"));
+    }
+});
+
+test("chat can't use mod-only commands", async () => {
+    const { handled, queued } = await send("!webcam", false, "viewer");
+
+    assert.strictEqual(handled, true);
+    assert.strictEqual(queued, undefined);
+    assert.strictEqual(provider.requests.length, 0);
+});
+
+test("wake phrases wait out the cooldown, commands don't", async () => {
+    // The wake phrase test above ran moments ago
+    await env.reconfigure(settings({ cooldown_ms: 60000 }));
+    try {
+        replyWith = () => "A code editor.";
+        const early = await send("look at my screen");
+        assert.strictEqual(early.handled, false);
+        assert.strictEqual(provider.requests.length, 0);
+        assert.ok(env.logs.some(line => line.includes("Cooldown active")));
+
+        assert.strictEqual((await send("!screenshot")).queued, "A code editor.");
+    } finally {
+        await env.reconfigure(settings());
+    }
+    assert.strictEqual((await send("look at my screen")).handled, true);
+});
+
+test("blackout zones are full-frame pixels and can be set per display", async () => {
+    const pixel = (image, x, y) => image.data[(y * image.width + x) * 4];
+    await env.reconfigure(settings({
+        screenshot: { regions: { panel: { x: 100, y: 80, width: 100, height: 60 } } },
+        privacy: { blackout: { screenshot: [{ x: 140, y: 100, width: 20, height: 20 }], displays: { "1": [] } } }
+    }));
+    try {
+        replyWith = () => "A panel.";
+        await send("!screenshot region:panel");
+        const panel = jpeg.decode(sentImages(provider.requests[0])[0].buffer);
+        assert.deepStrictEqual([panel.width, panel.height], [100, 60]);
+        assert.ok(pixel(panel, 50, 30) < 40, "the zone inside the region is not masked");
+        assert.ok(pixel(panel, 10, 10) > 200, "pixels outside the zone were masked");
+
+        // Display 1 has its own (empty) list
+        await send("!screenshot 1");
+        const other = jpeg.decode(sentImages(provider.requests[0])[0].buffer);
+        assert.ok(pixel(other, 150, 110) > 200, "display 1 used the screenshot list");
+    } finally {
+        await env.reconfigure(settings());
+    }
+});
+
+test("quitting removes the plugin's temp captures and nothing else", async () => {
+    const tempDir = path.join(env.dir, "userdata", "temp");
+    fs.mkdirSync(tempDir, { recursive: true });
+    const files = ["webcam_1.png", "screenshot_2.png", "image_3.jpg", "redact_preview_4.png", "notes.txt"];
+    files.forEach(name => fs.writeFileSync(path.join(tempDir, name), "x"));
+
+    env.plugin.onQuit();
+
+    assert.deepStrictEqual(fs.readdirSync(tempDir), ["notes.txt"]);
+    assert.ok(env.logs.some(line => line.includes("Cleanup complete")));
+});
@@ -0,0 +1,82 @@
+/**
+ * preprocess.js: crop, resize, grayscale and the whole pipeline
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const imageCodec = require("../image_codec");
+const { crop, resize, fitWithin, grayscale, preprocessImage } = require("../preprocess");
+const { fixture } = require("./helpers");
+
+/**
+ * Image of the given size filled with one RGBA colour
+ */
+function solid(width, height, rgba) {
+    const data = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) data.set(rgba, i);
+    return { width, height, data };
+}
+
+test("crop takes the rectangle and clamps it to the image", () => {
+    const image = imageCodec.decodeBmp(fixture("rgb24.bmp"));
+
+    const inside = crop(image, { x: 1, y: 0, width: 2, height: 1 });
+    assert.deepStrictEqual([inside.width, inside.height], [2, 1]);
+    assert.deepStrictEqual([...inside.data], [0, 255, 0, 255, 0, 0, 255, 255]);
+
+    const outside = crop(image, { x: 2, y: 1, width: 50, height: 50 });
+    assert.deepStrictEqual([outside.width, outside.height], [1, 1]);
+    assert.deepStrictEqual([...outside.data], [128, 128, 128, 255]);
+});
+
+test("resize averages the pixels it merges", () => {
+    const image = imageCodec.decodeBmp(fixture("rgb32_topdown.bmp"));
+    const small = resize(image, 1, 1);
+
+    // Mean of (10,20,30) (40,50,60) (70,80,90) (100,110,120)
+    assert.deepStrictEqual([...small.data], [55, 65, 75, 255]);
+});
+
+test("fitWithin keeps the aspect ratio and leaves small images alone", () => {
+    const image = solid(400, 100, [1, 2, 3, 255]);
+
+    const fitted = fitWithin(image, 200);
+    assert.deepStrictEqual([fitted.width, fitted.height], [200, 50]);
+    assert.strictEqual(fitWithin(image, 400), image);
+    assert.strictEqual(fitWithin(image, null), image);
+});
+
+test("grayscale uses Rec. 601 luma", () => {
+    const image = grayscale(solid(1, 1, [255, 0, 0, 255]));
+    assert.deepStrictEqual([...image.data], [76, 76, 76, 255]);
+});
+
+test("preprocessImage crops, downscales and re-encodes", async () => {
+    const result = await preprocessImage(fixture("desktop.png"), {
+        crop: { x: 0, y: 0, width: 200, height: 100 },
+        max_dimension: 100,
+        format: "jpeg",
+        quality: 80
+    });
+
+    assert.strictEqual(result.mimeType, "image/jpeg");
+    assert.strictEqual(imageCodec.detectFormat(result.buffer), "jpeg");
+    assert.deepStrictEqual([result.sourceWidth, result.sourceHeight], [320, 180]);
+    assert.deepStrictEqual([result.width, result.height], [100, 50]);
+});
+
+test("the original format keeps JPEG and turns BMP into PNG", async () => {
+    const fromJpeg = await preprocessImage(fixture("webcam.jpg"), { format: "original", max_dimension: null, quality: 85 });
+    assert.strictEqual(fromJpeg.mimeType, "image/jpeg");
+
+    const fromBmp = await preprocessImage(fixture("rgb24.bmp"), { format: "original", max_dimension: null, quality: 85 });
+    assert.strictEqual(fromBmp.mimeType, "image/png");
+    assert.deepStrictEqual([...imageCodec.decodeImage(fromBmp.buffer).data], [...imageCodec.decodeBmp(fixture("rgb24.bmp")).data]);
+});
+
+test("WebP output is sent as image/webp", async () => {
+    const result = await preprocessImage(fixture("webcam.jpg"), { format: "webp", max_dimension: 64, quality: 80 });
+
+    assert.strictEqual(result.mimeType, "image/webp");
+    assert.strictEqual(imageCodec.detectFormat(result.buffer), "webp");
+});
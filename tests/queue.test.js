@@ -0,0 +1,175 @@
+/**
+ * The plugin's job queue, filled from commands, Twitch rewards and chat wake phrases
+ * while a capture is held back
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { fixture, startProvider, until, loadPlugin } = require("./helpers");
+
+let provider;
+let env;
+let gate = null;
+let release = null;
+
+before(async () => {
+    provider = await startProvider(() => "A busy desktop.");
+    env = loadPlugin(settings());
+    env.plugin.setCaptureSource("screenshot", async () => {
+        if (gate) await gate;
+        return fixture("desktop.png");
+    });
+});
+
+after(async () => {
+    // A failed test may have left a capture held
+    if (gate) release();
+    env.unload();
+    await provider.close();
+});
+
+/**
+ * Config for the test plugin: no cooldowns and "dave" may use wake phrases from chat
+ */
+function settings(extra = {}) {
+    return {
+        cooldown_ms: 0,
+        twitch: { user_cooldown_ms: 0 },
+        vision: { endpoint: provider.url, retries: 0 },
+        permissions: { mods: ["dave"] },
+        ...extra
+    };
+}
+
+/**
+ * Hold screenshots until release() is called
+ */
+function hold() {
+    gate = new Promise(resolve => release = () => {
+        gate = null;
+        resolve();
+    });
+}
+
+/**
+ * Start a screenshot command and wait until it is the running job.
+ * Returns { running }, the command's promise (returned bare, awaiting this would wait for it).
+ */
+async function startBlockingJob() {
+    hold();
+    env.logs.length = 0;
+    const running = env.plugin.onHandleCommand("!screenshot", true);
+    await until(() => env.logs.some(line => line.includes("Processing screenshot request from User")));
+    return { running };
+}
+
+/**
+ * Log lines printed by !vision-queue
+ */
+async function queueStatus() {
+    const from = env.logs.length;
+    await env.plugin.onHandleCommand("!vision-queue", true);
+    return env.logs.slice(from);
+}
+
+test("waiting jobs run by priority: commands, rewards, then wake phrases", async () => {
+    const { running } = await startBlockingJob();
+    const waiting = [
+        env.plugin.onHandleCommand("look at my screen", false, "dave"),
+        env.plugin.onTwitchRewardRedeem("Show me your screen", "carol"),
+        env.plugin.onHandleCommand("!screenshot", true)
+    ];
+    await until(() => env.logs.filter(line => line.includes("Queued")).length === 3);
+
+    const status = await queueStatus();
+    assert.match(status[0], /Queue \(3\/5\)/);
+    assert.deepStrictEqual(status.slice(2).map(line => /priority (\d)/.exec(line)[1]), ["3", "2", "1"]);
+
+    provider.requests.length = 0;
+    release();
+    await Promise.all([running, ...waiting]);
+
+    const order = env.logs.filter(line => line.includes("Processing screenshot request")).map(line => /from (\w+)/.exec(line)[1]);
+    assert.deepStrictEqual(order, ["User", "User", "carol", "dave"]);
+    assert.strictEqual(provider.requests.length, 4);
+});
+
+test("a full queue evicts the least important job and refunds rewards it can't take", async () => {
+    await env.reconfigure(settings({ queue: { max_depth: 2 } }));
+    const refunded = [];
+    const onRefund = event => refunded.push(event);
+    env.plugin.events.on("twitch-reward-refund", onRefund);
+
+    try {
+        const { running } = await startBlockingJob();
+        const waiting = [
+            env.plugin.onHandleCommand("look at my screen", false, "dave"),
+            env.plugin.onHandleCommand("look at my screen", false, "dave")
+        ];
+        await until(() => env.logs.filter(line => line.includes("Queued")).length === 2);
+
+        // Pushes out the newer of the two wake phrases
+        waiting.push(env.plugin.onTwitchRewardRedeem("Show me your screen", "carol"));
+        await until(() => env.logs.filter(line => line.includes("Queued")).length === 3);
+        // Nothing left that is less important than a wake phrase
+        waiting.push(env.plugin.onHandleCommand("look at my screen", false, "dave"));
+        await until(() => env.logs.some(line => line.includes("Queue full, dropped")));
+
+        const status = await queueStatus();
+        assert.match(status[0], /Queue \(2\/2\)/);
+        assert.match(status[2], /from carol .*priority 2/);
+        assert.match(status[3], /from dave .*priority 1/);
+        assert.strictEqual(status.filter(line => line.includes("[dropped]")).length, 2);
+
+        // Two commands fill it up, a reward can't replace them
+        waiting.push(env.plugin.onHandleCommand("!screenshot", true), env.plugin.onHandleCommand("!screenshot", true));
+        waiting.push(env.plugin.onTwitchRewardRedeem("Show me your screen", "erin", "id-9"));
+        await until(() => refunded.length === 2);
+        assert.deepStrictEqual(refunded.map(event => [event.user, event.reason]), [["carol", "dropped"], ["erin", "dropped"]]);
+
+        release();
+        await Promise.all([running, ...waiting]);
+    } finally {
+        env.plugin.events.off("twitch-reward-refund", onRefund);
+        await env.reconfigure(settings());
+    }
+});
+
+test("!vision-queue clear cancels waiting jobs and stop aborts the running one", async () => {
+    const { running } = await startBlockingJob();
+    const waiting = env.plugin.onHandleCommand("!screenshot", true);
+    await until(() => env.logs.some(line => line.includes("Queued")));
+
+    provider.requests.length = 0;
+    await env.plugin.onHandleCommand("!vision-queue clear", true);
+    await env.plugin.onHandleCommand("!vision-queue stop", true);
+    // The held capture is not waited for
+    await Promise.all([running, waiting]);
+    assert.strictEqual(env.state.prevent_ext_input, false);
+    release();
+
+    const status = await queueStatus();
+    assert.match(status[1], /Running: none/);
+    assert.strictEqual(status.filter(line => line.includes("[cancelled]")).length, 2);
+    assert.strictEqual(provider.requests.length, 0);
+    assert.strictEqual(env.state.prevent_ext_input, false);
+});
+
+test("a capture that never answers times out and frees the character's input", async () => {
+    await env.reconfigure(settings({ capture_timeout_ms: 1000 }));
+    while (env.plugin.onInputRequest() !== undefined);
+    provider.requests.length = 0;
+    try {
+        const { running } = await startBlockingJob();
+        assert.strictEqual(env.state.prevent_ext_input, true);
+        await running;
+
+        assert.strictEqual(env.state.prevent_ext_input, false);
+        assert.ok(env.logs.some(line => line.includes("Vision processing failed (timeout)")));
+        assert.match(env.plugin.onInputRequest(), /took too long/);
+        assert.strictEqual(provider.requests.length, 0);
+    } finally {
+        release();
+        await env.reconfigure(settings());
+    }
+});
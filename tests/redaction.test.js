@@ -0,0 +1,56 @@
+/**
+ * redaction.js: blackout rectangles and failing closed when OCR masking can't run
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const imageCodec = require("../image_codec");
+const ocr = require("../ocr");
+const { redactImage } = require("../redaction");
+const { fixture } = require("./helpers");
+
+let dir;
+let previousDir;
+
+// OCR language data is unpacked into userdata/ocr of the working directory
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vision-redaction-"));
+    previousDir = process.cwd();
+    process.chdir(dir);
+});
+
+after(async () => {
+    await ocr.terminate();
+    process.chdir(previousDir);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("blackout rectangles are filled with black", async () => {
+    const { buffer, masked } = await redactImage(fixture("desktop.png"), {
+        blackout: [{ x: 40, y: 30, width: 10, height: 10 }]
+    });
+    const image = imageCodec.decodeImage(buffer);
+    const i = (35 * image.width + 45) * 4;
+
+    assert.strictEqual(masked, 1);
+    assert.deepStrictEqual([...image.data.subarray(i, i + 4)], [0, 0, 0, 255]);
+});
+
+test("an OCR timeout fails the capture instead of returning it unmasked", async () => {
+    // Start the worker first, so the timeout hits the recognition like a stuck OCR pass would
+    await ocr.recognize(fixture("desktop.png"), "eng", 60000);
+    await assert.rejects(
+        redactImage(fixture("desktop.png"), { ocr_mask: true, mask_patterns: ["email"], ocr_language: "eng", ocr_timeout_ms: 1 }),
+        err => err.kind === "timeout" && /OCR masking failed/.test(err.message)
+    );
+});
+
+test("missing language data fails the capture", async () => {
+    await assert.rejects(
+        redactImage(fixture("desktop.png"), { ocr_mask: true, mask_patterns: ["email"], ocr_language: "xyz", ocr_timeout_ms: 60000 }),
+        err => err.kind === "capture" && /OCR masking failed/.test(err.message)
+    );
+});
@@ -0,0 +1,119 @@
+/**
+ * Twitch channel point rewards: queueing, refunds and fulfilment events
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { fixture, startProvider, loadPlugin } = require("./helpers");
+
+let provider;
+let replyWith = () => "A viewer in a hoodie.";
+let env;
+let fulfilled;
+let refunded;
+
+before(async () => {
+    provider = await startProvider(body => replyWith(body));
+    // Default twitch settings, like a fresh config.json
+    env = loadPlugin(settings());
+    env.plugin.setCaptureSource("webcam", async () => fixture("webcam.jpg"));
+    env.plugin.setCaptureSource("screenshot", async () => fixture("desktop.png"));
+    env.plugin.events.on("twitch-reward-fulfilled", event => fulfilled.push(event));
+    env.plugin.events.on("twitch-reward-refund", event => refunded.push(event));
+});
+
+after(async () => {
+    env.unload();
+    await provider.close();
+});
+
+/**
+ * Config for the test plugin, with twitch settings on top of the defaults
+ */
+function settings(twitch = {}, extra = {}) {
+    return { vision: { endpoint: provider.url, retries: 0 }, twitch, ...extra };
+}
+
+/**
+ * Start a test with no events and no provider requests recorded
+ */
+function reset() {
+    fulfilled = [];
+    refunded = [];
+    replyWith = () => "A viewer in a hoodie.";
+    provider.requests.length = 0;
+    while (env.plugin.onInputRequest() !== undefined);
+}
+
+test("simultaneous redemptions are queued and both fulfilled", async () => {
+    reset();
+    await Promise.all([
+        env.plugin.onTwitchRewardRedeem("Show me your face", "alice", "id-1"),
+        env.plugin.onTwitchRewardRedeem("Show me your face", "bob", "id-2")
+    ]);
+
+    assert.deepStrictEqual(refunded, []);
+    assert.deepStrictEqual(fulfilled.map(event => [event.user, event.extra[0]]), [["alice", "id-1"], ["bob", "id-2"]]);
+    assert.strictEqual(provider.requests.length, 2);
+});
+
+test("a fulfilled redemption reports the description and the host's arguments", async () => {
+    reset();
+    await env.plugin.onTwitchRewardRedeem("show me your SCREEN", "carol", "id-3", "extra");
+
+    assert.deepStrictEqual(fulfilled, [{ reward: "Show me your screen", user: "carol", description: "A viewer in a hoodie.", extra: ["id-3", "extra"] }]);
+    assert.match(env.memory[env.memory.length - 1], /carol redeemed "Show me your screen"/);
+});
+
+test("unknown rewards are ignored", async () => {
+    reset();
+    await env.plugin.onTwitchRewardRedeem("Hydrate", "carol");
+
+    assert.deepStrictEqual([fulfilled, refunded], [[], []]);
+    assert.strictEqual(provider.requests.length, 0);
+});
+
+test("a second redemption by the same viewer is refunded until the user cooldown passes", async () => {
+    reset();
+    await env.plugin.onTwitchRewardRedeem("Show me your face", "dave", "id-4");
+    await env.plugin.onTwitchRewardRedeem("Show me your face", "dave", "id-5");
+
+    assert.deepStrictEqual(fulfilled.map(event => event.extra[0]), ["id-4"]);
+    assert.deepStrictEqual(refunded.map(event => [event.reason, event.extra[0]]), [["user_cooldown", "id-5"]]);
+    assert.strictEqual(provider.requests.length, 1);
+});
+
+test("a failed request is refunded with its error kind", async () => {
+    reset();
+    replyWith = () => ({ status: 401 });
+    await env.plugin.onTwitchRewardRedeem("Show me your face", "erin", "id-6");
+
+    assert.strictEqual(fulfilled.length, 0);
+    assert.strictEqual(refunded.length, 1);
+    assert.deepStrictEqual([refunded[0].reason, refunded[0].errorKind, refunded[0].extra], ["failed", "auth", ["id-6"]]);
+    assert.match(env.plugin.onInputRequest(), /API key/);
+});
+
+test("deny and allow lists refund without a request", async () => {
+    await env.reconfigure(settings({ deny: ["Mallory"], allow: [] }));
+    reset();
+    await env.plugin.onTwitchRewardRedeem("Show me your face", "mallory");
+
+    await env.reconfigure(settings({ allow: ["frank"] }));
+    await env.plugin.onTwitchRewardRedeem("Show me your face", "grace");
+
+    assert.deepStrictEqual(refunded.map(event => [event.user, event.reason]), [["mallory", "denied"], ["grace", "denied"]]);
+    assert.strictEqual(provider.requests.length, 0);
+    await env.reconfigure(settings());
+});
+
+test("global_cooldown_ms: null applies the vision cooldown to rewards", async () => {
+    await env.reconfigure(settings({ global_cooldown_ms: null }, { cooldown_ms: 60000 }));
+    reset();
+    // The requests of the tests above are well inside the 60s cooldown
+    await env.plugin.onTwitchRewardRedeem("Show me your face", "ivan");
+
+    assert.deepStrictEqual(refunded.map(event => [event.user, event.reason]), [["ivan", "global_cooldown"]]);
+    assert.strictEqual(provider.requests.length, 0);
+    await env.reconfigure(settings());
+});
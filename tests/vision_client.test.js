@@ -0,0 +1,206 @@
+/**
+ * vision_client.js stream() against a local server sending SSE and newline-delimited JSON
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const visionClient = require("../vision_client");
+
+/**
+ * Local server answering the nth request with handlers[n](req, res) (the last one repeats).
+ * Resolves { url, hits, close }, hits counts the requests.
+ */
+function startServer(handlers) {
+    const state = { hits: 0 };
+    const server = http.createServer((req, res) => {
+        const handler = handlers[Math.min(state.hits, handlers.length - 1)];
+        state.hits++;
+        req.resume();
+        req.on("end", () => handler(req, res));
+    });
+    return new Promise(resolve => {
+        server.listen(0, "127.0.0.1", () => resolve({
+            url: `http://127.0.0.1:${server.address().port}/v1/chat/completions`,
+            get hits() {
+                return state.hits;
+            },
+            close: () => new Promise(done => {
+                server.closeAllConnections();
+                server.close(done);
+            })
+        }));
+    });
+}
+
+/**
+ * Write the chunks one by one, a few ms apart so each arrives as its own read
+ */
+async function writeSlowly(res, chunks) {
+    for (let chunk of chunks) {
+        res.write(chunk);
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+/**
+ * An OpenAI-style SSE delta event
+ */
+function delta(content) {
+    return `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+}
+
+/**
+ * stream() with OpenAI-style parsing, collecting what onText gets in pieces
+ */
+function streamFrom(url, pieces, options = {}) {
+    return visionClient.stream(url, {}, {}, {
+        timeout_ms: 2000,
+        retries: 2,
+        retry_backoff_ms: 10,
+        max_backoff_ms: 1000,
+        format: "sse",
+        parseEvent: event => event.choices?.[0]?.delta?.content,
+        onText: piece => pieces.push(piece),
+        ...options
+    });
+}
+
+test("SSE events split across chunks are reassembled, [DONE] ends the stream", async () => {
+    const server = await startServer([async (req, res) => {
+        res.writeHead(200, { "content-type": "text/event-stream" });
+        const events = delta("Hello") + delta(" there") + `data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 12, completion_tokens: 3 } })}\n\n` + "data: [DONE]\n\n";
+        // Cut through the middle of events and lines
+        await writeSlowly(res, [events.slice(0, 17), events.slice(17, 60), events.slice(60)]);
+        res.end();
+    }]);
+
+    const pieces = [];
+    let usage = null;
+    try {
+        const text = await streamFrom(server.url, pieces, {
+            parseUsage: event => event.usage || null,
+            onUsage: reported => usage = reported
+        });
+        assert.strictEqual(text, "Hello there");
+        assert.deepStrictEqual(pieces, ["Hello", " there"]);
+        assert.deepStrictEqual(usage, { prompt_tokens: 12, completion_tokens: 3 });
+    } finally {
+        await server.close();
+    }
+});
+
+test("newline-delimited JSON is read line by line, the last line needs no newline", async () => {
+    const server = await startServer([async (req, res) => {
+        res.writeHead(200, { "content-type": "application/x-ndjson" });
+        await writeSlowly(res, ['{"message":{"content":"Two"}}\n{"mess', 'age":{"content":" cats"}}\n', '{"done":true}']);
+        res.end();
+    }]);
+
+    const pieces = [];
+    try {
+        const text = await streamFrom(server.url, pieces, { format: "ndjson", parseEvent: event => event.message?.content });
+        assert.strictEqual(text, "Two cats");
+        assert.deepStrictEqual(pieces, ["Two", " cats"]);
+    } finally {
+        await server.close();
+    }
+});
+
+test("a failure before any text is retried", async () => {
+    const server = await startServer([
+        (req, res) => {
+            res.writeHead(503, { "content-type": "application/json" });
+            res.end(JSON.stringify({ error: { message: "overloaded" } }));
+        },
+        async (req, res) => {
+            res.writeHead(200, { "content-type": "text/event-stream" });
+            res.end(delta("Second try") + "data: [DONE]\n\n");
+        }
+    ]);
+
+    const pieces = [];
+    try {
+        assert.strictEqual(await streamFrom(server.url, pieces), "Second try");
+        assert.strictEqual(server.hits, 2);
+    } finally {
+        await server.close();
+    }
+});
+
+test("a failure after text was emitted is not retried", async () => {
+    const server = await startServer([async (req, res) => {
+        res.writeHead(200, { "content-type": "text/event-stream" });
+        await writeSlowly(res, [delta("Half a sen")]);
+        res.destroy();
+    }]);
+
+    const pieces = [];
+    try {
+        await assert.rejects(streamFrom(server.url, pieces), visionClient.VisionError);
+        assert.deepStrictEqual(pieces, ["Half a sen"]);
+        assert.strictEqual(server.hits, 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test("malformed JSON in the stream fails the call", async () => {
+    const server = await startServer([async (req, res) => {
+        res.writeHead(200, { "content-type": "text/event-stream" });
+        res.end(delta("Partial") + "data: {not json\n\n");
+    }]);
+
+    const pieces = [];
+    try {
+        await assert.rejects(streamFrom(server.url, pieces), err => err.kind === "server");
+        assert.strictEqual(server.hits, 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test("aborting the signal cancels a stream in progress", async () => {
+    const controller = new AbortController();
+    const server = await startServer([async (req, res) => {
+        res.writeHead(200, { "content-type": "text/event-stream" });
+        res.write(delta("Never"));
+        // Keep the connection open until the client gives up
+    }]);
+
+    const pieces = [];
+    try {
+        const call = streamFrom(server.url, pieces, { signal: controller.signal, onText: piece => {
+            pieces.push(piece);
+            controller.abort();
+        } });
+        await assert.rejects(call, err => err.kind === "cancelled");
+        assert.deepStrictEqual(pieces, ["Never"]);
+        assert.strictEqual(server.hits, 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test("aborting during the backoff wait cancels without waiting it out", async () => {
+    const controller = new AbortController();
+    const server = await startServer([(req, res) => {
+        res.writeHead(503, { "content-type": "application/json" });
+        res.end(JSON.stringify({ error: { message: "overloaded" } }));
+    }]);
+
+    const started = Date.now();
+    try {
+        const call = streamFrom(server.url, [], {
+            signal: controller.signal,
+            retry_backoff_ms: 10000,
+            max_backoff_ms: 30000,
+            onRetry: () => setTimeout(() => controller.abort(), 20)
+        });
+        await assert.rejects(call, err => err.kind === "cancelled");
+        assert.ok(Date.now() - started < 2000, "waited for the backoff");
+        assert.strictEqual(server.hits, 1);
+    } finally {
+        await server.close();
+    }
+});
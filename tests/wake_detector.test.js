@@ -0,0 +1,107 @@
+/**
+ * Wake phrase detection: sample utterances through the rule matcher and the LLM intent classifier
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const wakeDetector = require("../wake_detector");
+const { DEFAULT_CONFIG } = require("../config");
+const { fixture, startProvider, loadPlugin } = require("./helpers");
+
+// Utterance -> what the default phrases should make of it ("read" and "watch" are screenshot/webcam flavours)
+const RULE_CASES = [
+    ["look at me", "webcam"],
+    ["hey, can you look at me now please?", "webcam"],
+    ["look at me and say hi", "webcam"],
+    ["what do you see", "webcam"],
+    ["check the cam", "webcam"],
+    ["Look at the screen", "screenshot"],
+    ["look at my screen", "screenshot"],
+    ["look at screen", "screenshot"],
+    ["can you look at my monitor", "screenshot"],
+    ["pls glance at the display", "screenshot"],
+    ["look at my scren", "screenshot"],
+    ["read the screen", "read"],
+    ["what does my screen say?", "read"],
+    ["watch me do this", "watch_webcam"],
+    ["watch the screen", "watch_screenshot"],
+    ["don't look at me", null],
+    ["you'll see me win", null],
+    ["look at that cat", null],
+    ["the screen is dusty", null],
+    ["the weather is nice today", null]
+];
+
+/**
+ * Collapse a match into the labels used by RULE_CASES
+ */
+function label(match) {
+    if (!match) return null;
+    if (match.read) return "read";
+    if (match.watch) return `watch_${match.type}`;
+    return match.type;
+}
+
+const matcher = wakeDetector.createMatcher(DEFAULT_CONFIG.wake_phrases, DEFAULT_CONFIG.wake.synonyms, DEFAULT_CONFIG.wake.fuzzy);
+
+for (let [utterance, expected] of RULE_CASES) {
+    test(`rules: "${utterance}" -> ${expected}`, () => {
+        assert.strictEqual(label(matcher.match(utterance)), expected);
+    });
+}
+
+test("rules: only messages with a phrase word are worth classifying", () => {
+    assert.strictEqual(matcher.mentionsVision("could you peek at what I'm playing"), true);
+    assert.strictEqual(matcher.mentionsVision("what is the weather like"), false);
+});
+
+// Classifier reply -> parsed intent
+const LLM_CASES = [
+    ["webcam", { type: "webcam", target: {} }],
+    [" Screenshot.\n", { type: "screenshot", target: {} }],
+    ["read", { type: "screenshot", target: {}, read: true }],
+    ["watch-webcam", { type: "webcam", target: {}, watch: true }],
+    ["region:Chat", { type: "screenshot", target: { region: "chat" } }],
+    ["region:top bar", { type: "screenshot", target: { region: "Top Bar" } }],
+    ["region:Top-Bar", null],
+    ["region:minimap", null],
+    ["none", null],
+    ["I think they want a screenshot", null]
+];
+
+for (let [reply, expected] of LLM_CASES) {
+    test(`llm: reply ${JSON.stringify(reply)} is parsed`, () => {
+        assert.deepStrictEqual(wakeDetector.parseIntent(reply, ["chat", "Top Bar"]), expected);
+    });
+}
+
+test("llm: the prompt lists every label and quotes the message", () => {
+    const prompt = wakeDetector.buildIntentPrompt('look at "this"', ["chat"]);
+    assert.match(prompt, /Reply with exactly one of: webcam, screenshot, read, watch-webcam, watch-screenshot, region:chat, none/);
+    assert.ok(prompt.endsWith('Message: "look at \\"this\\""'));
+});
+
+test("llm: the plugin captures what the classifier asks for", async () => {
+    const classified = [];
+    const provider = await startProvider(body => {
+        const text = JSON.stringify(body);
+        if (!text.includes("You classify messages")) return "A code editor.";
+        classified.push(body);
+        return text.includes("peek") ? "screenshot" : "none";
+    });
+    const env = loadPlugin({ cooldown_ms: 0, wake: { mode: "llm" }, vision: { endpoint: provider.url, retries: 0 } });
+    env.plugin.setCaptureSource("screenshot", async () => fixture("desktop.png"));
+
+    try {
+        // No rule matches this, the classifier does
+        assert.strictEqual(await env.plugin.onHandleCommand("could you take a peek at what I'm playing", true), true);
+        assert.strictEqual(env.plugin.onInputRequest(), "A code editor.");
+
+        // Unrelated chatter is never sent to the classifier
+        assert.strictEqual(await env.plugin.onHandleCommand("what is the weather like", true), false);
+        assert.strictEqual(classified.length, 1);
+    } finally {
+        env.unload();
+        await provider.close();
+    }
+});
@@ -0,0 +1,280 @@
+/**
+ * HTTP client for vision API calls
+ * - Per-request timeout that also aborts a stalled connection
+ * - Retries with exponential backoff for rate limits, 5xx and network errors, honouring Retry-After
+ * - Failures are turned into a VisionError with a kind the caller can react to
+ * - Streaming responses (SSE or newline-delimited JSON) are read event by event
+ * - An optional AbortSignal cancels the call at any point
+ */
+
+const axios = require("axios");
+
+// Error kinds worth another attempt with the same request
+const RETRYABLE = ["rate_limit", "server", "timeout", "network"];
+
+/**
+ * A failed vision call.
+ * kind: auth, quota, rate_limit, bad_image, bad_request, timeout, network, server, cancelled, unknown
+ */
+class VisionError extends Error {
+    constructor(kind, message, details = {}) {
+        super(message);
+        this.name = "VisionError";
+        this.kind = kind;
+        this.status = details.status ?? null;
+        this.retryAfterMs = details.retryAfterMs ?? null;
+    }
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds, or null
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === "") return null;
+    if (/^\d+(\.\d+)?$/.test(String(value).trim())) return Math.round(parseFloat(value) * 1000);
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Pull a readable message out of a provider error body
+ */
+function errorMessage(data) {
+    if (!data) return "";
+    if (typeof data === "string") return data;
+    return data.error?.message || data.error?.status || data.message || (typeof data.error === "string" ? data.error : JSON.stringify(data));
+}
+
+/**
+ * Read a streamed error body so it can be classified like a normal one
+ */
+async function readBody(data) {
+    if (!data || typeof data.on !== "function") return data;
+    let text = "";
+    try {
+        for await (const chunk of data) text += chunk;
+    } catch (err) {
+        // Keep whatever arrived
+    }
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        return text;
+    }
+}
+
+/**
+ * Turn an axios error into a VisionError
+ */
+function classifyError(err) {
+    if (err instanceof VisionError) return err;
+
+    if (err.code === "ECONNABORTED" || err.code === "ETIMEDOUT" || err.name === "CanceledError" || err.name === "AbortError") {
+        return new VisionError("timeout", "Vision API request timed out");
+    }
+    if (!err.response) {
+        // Errors raised while reading a stream (bad JSON, an error event) are the server's fault
+        if (!err.isAxiosError && !err.code) return new VisionError("server", err.message);
+        return new VisionError("network", err.message || "Network error");
+    }
+
+    const status = err.response.status;
+    const message = errorMessage(err.response.data);
+    const details = { status, retryAfterMs: parseRetryAfter(err.response.headers?.["retry-after"]) };
+    const describe = `${status}: ${message}`.slice(0, 300);
+
+    if (/quota|billing|credit balance|insufficient_quota/i.test(message) || status === 402) {
+        return new VisionError("quota", describe, details);
+    }
+    if (status === 401 || status === 403) return new VisionError("auth", describe, details);
+    if (status === 429) return new VisionError("rate_limit", describe, details);
+    if (status === 413 || status === 415 || ([400, 422].includes(status) && /image|media|mime|base64/i.test(message))) {
+        return new VisionError("bad_image", describe, details);
+    }
+    if (status >= 500) return new VisionError("server", describe, details);
+    if (status >= 400) return new VisionError("bad_request", describe, details);
+    return new VisionError("unknown", describe, details);
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): Retry-After if given, otherwise exponential with jitter
+ */
+function retryDelay(error, attempt, options) {
+    if (error.retryAfterMs !== null) return error.retryAfterMs;
+    const base = options.retry_backoff_ms * 2 ** attempt;
+    return Math.min(options.max_backoff_ms, base + Math.random() * options.retry_backoff_ms);
+}
+
+/**
+ * Wait ms, returns early once signal is aborted
+ */
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal?.aborted) return resolve();
+        const done = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener("abort", done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        signal?.addEventListener("abort", done);
+    });
+}
+
+/**
+ * Abort controller for one attempt: fires on the caller's signal or after timeout_ms of inactivity.
+ * touch() restarts the inactivity timer, e.g. whenever streamed data arrives.
+ */
+function createAttemptController(options) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+
+    const touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, options.timeout_ms);
+    };
+    const onCancel = () => controller.abort();
+    options.signal?.addEventListener("abort", onCancel);
+    touch();
+
+    return {
+        signal: controller.signal,
+        touch,
+        /**
+         * Stop the timer and turn whatever was thrown into a VisionError
+         */
+        async finish(err) {
+            clearTimeout(timer);
+            options.signal?.removeEventListener("abort", onCancel);
+            if (!err) return null;
+            if (options.signal?.aborted) return new VisionError("cancelled", "Vision request cancelled");
+            if (timedOut) return new VisionError("timeout", "Vision API request timed out");
+            if (err.response) err.response.data = await readBody(err.response.data);
+            return classifyError(err);
+        }
+    };
+}
+
+/**
+ * Run attempt() until it succeeds, retrying retryable errors with backoff.
+ * attempt() returns { result } or { error, retry }.
+ */
+async function withRetries(attempt, options) {
+    for (let count = 0; ; count++) {
+        const { result, error, retry = true } = await attempt();
+        if (!error) return result;
+        if (!retry || !RETRYABLE.includes(error.kind) || count >= options.retries) throw error;
+
+        const delay = retryDelay(error, count, options);
+        // A server asking us to wait longer than we are willing to is treated as a failure
+        if (delay > options.max_backoff_ms) throw error;
+
+        if (options.onRetry) options.onRetry(error, delay, count + 1);
+        await sleep(delay, options.signal);
+        if (options.signal?.aborted) throw new VisionError("cancelled", "Vision request cancelled");
+    }
+}
+
+/**
+ * POST a JSON body, returns the response data or throws a VisionError.
+ * options: { timeout_ms, retries, retry_backoff_ms, max_backoff_ms, signal, onRetry(error, delayMs, attempt) }
+ */
+async function post(url, body, headers, options) {
+    return withRetries(async () => {
+        const attempt = createAttemptController(options);
+        try {
+            const response = await axios.post(url, body, { headers, signal: attempt.signal });
+            await attempt.finish();
+            return { result: response.data };
+        } catch (err) {
+            return { error: await attempt.finish(err) };
+        }
+    }, options);
+}
+
+/**
+ * Split a byte stream into events.
+ * format "sse": JSON from "data:" lines ("[DONE]" is skipped), "ndjson": one JSON object per line.
+ */
+function createEventParser(format, onEvent) {
+    let buffer = "";
+
+    const handleLine = (line) => {
+        line = line.trim();
+        if (format === "sse") {
+            if (!line.startsWith("data:")) return;
+            line = line.slice("data:".length).trim();
+            if (line === "[DONE]") return;
+        }
+        if (!line) return;
+        onEvent(JSON.parse(line));
+    };
+
+    return {
+        push(text) {
+            buffer += text;
+            const lines = buffer.split("\n");
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        },
+        end() {
+            handleLine(buffer);
+            buffer = "";
+        }
+    };
+}
+
+/**
+ * POST a request for a streamed response. Every event is passed to parseEvent(event),
+ * which returns the text it adds; onText(text) gets each non-empty piece as it arrives.
+ * Returns the full text, or throws a VisionError. Only attempts that have not produced
+ * any text yet are retried, so nothing is emitted twice.
+ * If parseUsage(event) is given, the token counts it returns are merged and passed to
+ * onUsage(usage) once the stream ends.
+ * options: post() options plus { format: "sse" | "ndjson", parseEvent, onText, parseUsage, onUsage }
+ */
+async function stream(url, body, headers, options) {
+    let text = "";
+    let usage = null;
+
+    return withRetries(async () => {
+        const attempt = createAttemptController(options);
+        try {
+            const response = await axios.post(url, body, { headers, signal: attempt.signal, responseType: "stream" });
+            const parser = createEventParser(options.format, (event) => {
+                const eventUsage = options.parseUsage ? options.parseUsage(event) : null;
+                if (eventUsage) usage = { ...usage, ...eventUsage };
+                const piece = options.parseEvent(event);
+                if (!piece) return;
+                text += piece;
+                options.onText(piece);
+            });
+
+            response.data.setEncoding("utf8");
+            for await (const chunk of response.data) {
+                attempt.touch();
+                parser.push(chunk);
+            }
+            parser.end();
+            await attempt.finish();
+            if (usage && options.onUsage) options.onUsage(usage);
+            return { result: text };
+        } catch (err) {
+            return { error: await attempt.finish(err), retry: text === "" };
+        }
+    }, options);
+}
+
+module.exports = {
+    VisionError,
+    RETRYABLE,
+    parseRetryAfter,
+    classifyError,
+    createEventParser,
+    post,
+    stream
+};
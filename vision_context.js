@@ -0,0 +1,88 @@
+/**
+ * Short-lived memory of recent captures for follow-up questions
+ * - Keeps the last few images exactly as they were sent, with their description
+ * - Entries expire after a configurable time
+ */
+
+let maxImages = 1;
+let ttlMs = 60000;
+
+/** @type { { image: { mimeType: string, base64: string }, type: string, description: string, timestamp: number, exchanges: { question: string, answer: string }[] }[] } */
+let entries = [];
+
+/**
+ * Update the limits, dropping entries that no longer fit
+ */
+function configure(options) {
+    maxImages = options.max_images;
+    ttlMs = options.ttl_seconds * 1000;
+    entries = entries.slice(-maxImages);
+}
+
+/**
+ * Remember a capture and its description
+ */
+function remember(image, type, description, now = Date.now()) {
+    entries.push({ image, type, description, timestamp: now, exchanges: [] });
+    entries = entries.slice(-maxImages);
+}
+
+/**
+ * Get the captures still inside the time window, oldest first
+ */
+function getRecent(now = Date.now()) {
+    entries = entries.filter(entry => now - entry.timestamp <= ttlMs);
+    return entries;
+}
+
+/**
+ * Record a follow-up question and answer against the newest capture,
+ * refreshing its window so a conversation can keep going
+ */
+function addExchange(question, answer, now = Date.now()) {
+    const latest = entries[entries.length - 1];
+    if (!latest) return;
+    latest.exchanges.push({ question, answer });
+    latest.timestamp = now;
+}
+
+/**
+ * Forget everything
+ */
+function clear() {
+    entries = [];
+}
+
+/**
+ * Build the prompt for a follow-up question about the recent captures
+ */
+function buildFollowUpPrompt(recent, question) {
+    const lines = [];
+    if (recent.length === 1) {
+        lines.push(`You previously described this image (${recent[0].type}) as: ${recent[0].description}`);
+    } else {
+        lines.push(`These are the last ${recent.length} images, oldest first. Your earlier descriptions:`);
+        recent.forEach((entry, idx) => lines.push(`Image ${idx + 1} (${entry.type}): ${entry.description}`));
+    }
+
+    const exchanges = recent[recent.length - 1].exchanges;
+    if (exchanges.length > 0) {
+        lines.push("Earlier follow-up questions:");
+        for (let exchange of exchanges) {
+            lines.push(`Q: ${exchange.question}`);
+            lines.push(`A: ${exchange.answer}`);
+        }
+    }
+
+    lines.push(`Answer this question about the image${recent.length === 1 ? "" : "s"} concisely: ${question}`);
+    return lines.join("\n");
+}
+
+module.exports = {
+    configure,
+    remember,
+    getRecent,
+    addExchange,
+    clear,
+    buildFollowUpPrompt
+};
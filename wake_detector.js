@@ -0,0 +1,249 @@
+/**
+ * Wake phrase / intent detection
+ * - Token-based matching with word boundaries and typo tolerance
+ * - Per-capture-type synonyms ("screen" also matches "monitor")
+ * - Negation handling ("don't look at me") and clause-end anchoring ("see me win" is not a request)
+ * - Articles and possessives are interchangeable ("look at the screen" matches "look at my screen")
+ * - Prompt building/parsing for optional LLM intent classification
+ */
+
+const NEGATIONS = ["dont", "not", "never", "stop", "no", "quit", "without", "cant", "wont", "shouldnt"];
+
+// Words allowed between a phrase and the end of its clause ("look at me now please")
+const TRAILING_FILLERS = ["now", "please", "again", "real", "quick", "quickly", "for", "a", "sec", "second", "moment", "right", "rn", "too", "pls", "plz"];
+
+// Words before a noun that may be dropped, swapped or added ("look at screen", "look at the screen", "look at my screen")
+const DETERMINERS = ["the", "a", "an", "my", "this", "that", "these", "those", "your", "our"];
+
+// Words that end a clause like punctuation does
+const CLAUSE_BREAKS = ["and", "but", "so", "then", "because", "while"];
+
+// How many words before a phrase are checked for a negation
+const NEGATION_WINDOW = 3;
+
+// Too common to hint that a message is about vision
+const STOPWORDS = ["a", "an", "the", "at", "on", "in", "of", "to", "my", "me", "you", "your", "do", "is", "what", "whats"];
+
+/**
+ * Lowercase, drop apostrophes and split into clauses of tokens
+ */
+function tokenize(text) {
+    const clauses = [];
+    for (let part of text.toLowerCase().replace(/['’]/g, "").split(/[.,!?;:\n]+/)) {
+        let clause = [];
+        for (let token of part.split(/[^a-z0-9]+/).filter(Boolean)) {
+            if (CLAUSE_BREAKS.includes(token)) {
+                if (clause.length > 0) clauses.push(clause);
+                clause = [];
+            } else {
+                clause.push(token);
+            }
+        }
+        if (clause.length > 0) clauses.push(clause);
+    }
+    return clauses;
+}
+
+/**
+ * Levenshtein distance, gives up early once it exceeds max
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            curr[j] = Math.min(
+                prev[j] + 1,
+                curr[j - 1] + 1,
+                prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            rowMin = Math.min(rowMin, curr[j]);
+        }
+        if (rowMin > max) return max + 1;
+        prev = curr;
+    }
+    return prev[b.length];
+}
+
+/**
+ * Typos allowed for a word: none for short words, more for long ones
+ */
+function allowedEdits(word) {
+    if (word.length >= 8) return 2;
+    if (word.length >= 4) return 1;
+    return 0;
+}
+
+/**
+ * Check whether a spoken token matches any accepted form of a phrase word
+ */
+function tokenMatches(token, forms, fuzzy) {
+    for (let form of forms) {
+        if (token === form) return true;
+        if (fuzzy && editDistance(token, form, allowedEdits(form)) <= allowedEdits(form)) return true;
+    }
+    return false;
+}
+
+/**
+ * Match phrase words from index k on against the clause from pos on.
+ * Returns the index after the match, or -1.
+ */
+function matchFrom(clause, pos, phraseForms, k, fuzzy) {
+    if (k === phraseForms.length) return pos;
+    const token = clause[pos];
+
+    // A determiner in the phrase may be left out or replaced by another one, unless it ends the phrase
+    if (k < phraseForms.length - 1 && DETERMINERS.includes(phraseForms[k][0])) {
+        if (DETERMINERS.includes(token)) {
+            const end = matchFrom(clause, pos + 1, phraseForms, k + 1, fuzzy);
+            if (end !== -1) return end;
+        }
+        return matchFrom(clause, pos, phraseForms, k + 1, fuzzy);
+    }
+
+    if (token === undefined) return -1;
+    if (tokenMatches(token, phraseForms[k], fuzzy)) return matchFrom(clause, pos + 1, phraseForms, k + 1, fuzzy);
+    // ...and the message may add one the phrase doesn't have
+    if (k > 0 && DETERMINERS.includes(token)) return matchFrom(clause, pos + 1, phraseForms, k, fuzzy);
+    return -1;
+}
+
+/**
+ * Try to match a phrase (list of word forms) at every position of a clause.
+ * Returns the index after the match, or -1.
+ */
+function matchInClause(clause, phraseForms, fuzzy) {
+    for (let start = 0; start < clause.length; start++) {
+        const end = matchFrom(clause, start, phraseForms, 0, fuzzy);
+        if (end === -1) continue;
+
+        const trailing = clause.slice(end);
+        if (!trailing.every(token => TRAILING_FILLERS.includes(token))) continue;
+
+        const before = clause.slice(Math.max(0, start - NEGATION_WINDOW), start);
+        if (before.some(token => NEGATIONS.includes(token))) continue;
+
+        return end;
+    }
+    return -1;
+}
+
+/**
+ * Expand a phrase into word forms using a synonym map (word -> alternatives)
+ */
+function expandPhrase(phrase, synonyms) {
+    return tokenize(phrase).flat().map(word => [word, ...(synonyms[word] || []).map(s => s.toLowerCase())]);
+}
+
+/**
+ * Create a matcher for the configured phrases.
+ * phrases: { webcam: [], screenshot: [], read: [], watch_webcam: [], watch_screenshot: [], regions: { name: [] } }
+ * synonyms: { webcam: { word: [alternatives] }, screenshot: { ... } }
+ */
+function createMatcher(phrases, synonyms = {}, fuzzy = true) {
+    const rules = [];
+    const compile = (list, type, target, typeSynonyms, flags = {}) => {
+        for (let phrase of list) {
+            const forms = expandPhrase(phrase, typeSynonyms || {});
+            if (forms.length > 0) rules.push({ phrase, forms, type, target, read: !!flags.read, watch: !!flags.watch });
+        }
+    };
+
+    // Region phrases are the most specific, so they are tried first
+    for (let [region, list] of Object.entries(phrases.regions || {})) {
+        compile(list, "screenshot", { region }, synonyms.screenshot);
+    }
+    // "read my screen" must win over the plain screenshot phrases it overlaps with
+    compile(phrases.read || [], "screenshot", {}, synonyms.screenshot, { read: true });
+    // Burst phrases ("watch my screen") likewise overlap with the single-frame ones
+    compile(phrases.watch_webcam || [], "webcam", {}, synonyms.webcam, { watch: true });
+    compile(phrases.watch_screenshot || [], "screenshot", {}, synonyms.screenshot, { watch: true });
+    compile(phrases.webcam || [], "webcam", {}, synonyms.webcam);
+    compile(phrases.screenshot || [], "screenshot", {}, synonyms.screenshot);
+
+    // Every word that can take part in a match, used to skip LLM calls on unrelated chatter
+    const vocabulary = new Set(rules.flatMap(rule => rule.forms.flat()).filter(word => !STOPWORDS.includes(word)));
+
+    return {
+        /**
+         * Returns { type, target, phrase, read, watch } or null, read is set for text-reading
+         * requests and watch for burst (multi-frame) requests
+         */
+        match(message) {
+            if (!message) return null;
+            const clauses = tokenize(message);
+            for (let rule of rules) {
+                for (let clause of clauses) {
+                    if (matchInClause(clause, rule.forms, fuzzy) !== -1) {
+                        return { type: rule.type, target: rule.target, phrase: rule.phrase, read: rule.read, watch: rule.watch };
+                    }
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Whether a message contains any phrase word at all
+         */
+        mentionsVision(message) {
+            return tokenize(message).flat().some(token => vocabulary.has(token));
+        }
+    };
+}
+
+/**
+ * Prompt asking a text model to classify a message
+ */
+function buildIntentPrompt(message, regions = []) {
+    const labels = ["webcam", "screenshot", "read", "watch-webcam", "watch-screenshot", ...regions.map(region => `region:${region}`), "none"];
+    return [
+        "You classify messages sent to an AI streamer that can look through a webcam or at the streamer's screen.",
+        "Decide whether the speaker is asking the AI to look right now.",
+        "- webcam: they want the AI to look at them / the camera",
+        "- screenshot: they want the AI to look at their screen, monitor, game or app",
+        "- read: they only want the AI to read out text on their screen",
+        "- watch-webcam / watch-screenshot: they want the AI to watch something happen over a few seconds (a trick, an animation)",
+        ...regions.map(region => `- region:${region}: they want the AI to look specifically at "${region}"`),
+        "- none: anything else, including negations (\"don't look\") and figures of speech (\"see me win\")",
+        `Reply with exactly one of: ${labels.join(", ")}`,
+        "",
+        `Message: ${JSON.stringify(message)}`
+    ].join("\n");
+}
+
+/**
+ * Label as compared: lowercase, with spaces, quotes and punctuation the model may add removed.
+ * Region names go through it too, so "region:Top Bar" matches the region "top bar".
+ */
+function normalizeLabel(text) {
+    return String(text).trim().toLowerCase().replace(/[^a-z0-9:_-]/g, "");
+}
+
+/**
+ * Turn a classifier reply into { type, target, read, watch } or null
+ */
+function parseIntent(reply, regions = []) {
+    const label = normalizeLabel(reply);
+    if (label === "webcam") return { type: "webcam", target: {} };
+    if (label === "screenshot") return { type: "screenshot", target: {} };
+    if (label === "read") return { type: "screenshot", target: {}, read: true };
+    if (label === "watch-webcam") return { type: "webcam", target: {}, watch: true };
+    if (label === "watch-screenshot") return { type: "screenshot", target: {}, watch: true };
+    if (label.startsWith("region:")) {
+        const region = regions.find(name => normalizeLabel(name) === label.slice("region:".length));
+        if (region) return { type: "screenshot", target: { region } };
+    }
+    return null;
+}
+
+module.exports = {
+    tokenize,
+    editDistance,
+    createMatcher,
+    buildIntentPrompt,
+    parseIntent
+};
@@ -1,20 +1,21 @@
 /**
- * Webcam Device Detector for Windows
+ * Webcam Device Detector (Windows, Linux, macOS)
  * 
- * This script helps you identify all connected webcams and their indices.
+ * This script helps you identify all connected webcams and their names.
  * Run with: node webcam_detector.js
  * 
  * It will:
- * 1. List all available webcam devices
+ * 1. List all available webcam devices (same discovery as !vision-cameras)
  * 2. Take a test photo from each camera
  * 3. Save photos with camera index in filename
- * 4. Display device information
+ * 4. Display the config.json settings for each camera
  */
 
 const NodeWebcam = require("node-webcam");
 const fs = require("fs");
 const path = require("path");
-const { exec } = require("child_process");
+const imageCodec = require("./image_codec");
+const cameraDiscovery = require("./camera_discovery");
 
 // Output directory for test captures
 const OUTPUT_DIR = path.join(process.cwd(), "webcam_test_captures");
@@ -30,9 +31,9 @@ console.log("=".repeat(60));
 console.log("");
 
 /**
- * Test a webcam at specific index
+ * Test a webcam, device is what node-webcam's device option expects
  */
-async function testWebcam(deviceIndex) {
+async function testWebcam(deviceIndex, device) {
     return new Promise((resolve, reject) => {
         const opts = {
             width: 1280,
@@ -40,22 +41,33 @@ async function testWebcam(deviceIndex) {
             quality: 100,
             delay: 0,
             saveShots: true,
-            output: "jpeg",
-            device: deviceIndex === 0 ? false : deviceIndex, // false for default camera
+            output: "bmp",
+            device: device,
             callbackReturn: "location",
             verbose: false
         };
 
         const webcam = NodeWebcam.create(opts);
+        const bmpFilename = path.join(OUTPUT_DIR, `camera_${deviceIndex}_test.bmp`);
         const filename = path.join(OUTPUT_DIR, `camera_${deviceIndex}_test.jpg`);
 
         console.log(`Testing Camera Index ${deviceIndex}...`);
 
-        webcam.capture(filename, (err, data) => {
+        webcam.capture(bmpFilename, async (err, data) => {
+            if (!err) {
+                // Same in-process conversion the plugin uses
+                try {
+                    await imageCodec.convertBmpFile(bmpFilename, filename);
+                    fs.unlinkSync(bmpFilename);
+                } catch (convertErr) {
+                    err = convertErr;
+                }
+            }
+
             if (err) {
                 console.log(`  ✗ Camera ${deviceIndex}: FAILED`);
                 console.log(`    Error: ${err.message}`);
-                resolve({ index: deviceIndex, available: false, error: err.message });
+                resolve({ index: deviceIndex, device: device, available: false, error: err.message });
             } else {
                 console.log(`  ✓ Camera ${deviceIndex}: SUCCESS`);
                 console.log(`    Photo saved: ${filename}`);
@@ -67,6 +79,7 @@ async function testWebcam(deviceIndex) {
                 
                 resolve({ 
                     index: deviceIndex, 
+                    device: device,
                     available: true, 
                     filename: filename,
                     fileSize: fileSizeKB 
@@ -76,66 +89,53 @@ async function testWebcam(deviceIndex) {
     });
 }
 
-/**
- * Get Windows camera list using PowerShell
- */
-async function getWindowsCameraList() {
-    return new Promise((resolve, reject) => {
-        // PowerShell command to list video capture devices
-        const psCommand = `
-            Get-PnpDevice -Class Camera | 
-            Select-Object FriendlyName, Status, InstanceId | 
-            ConvertTo-Json
-        `;
-
-        exec(`powershell -Command "${psCommand}"`, (error, stdout, stderr) => {
-            if (error) {
-                console.log("Note: PowerShell device enumeration failed, using fallback method");
-                resolve([]);
-                return;
-            }
-
-            try {
-                const devices = JSON.parse(stdout);
-                resolve(Array.isArray(devices) ? devices : [devices]);
-            } catch (e) {
-                resolve([]);
-            }
-        });
-    });
-}
-
 /**
  * Main detection function
  */
 async function detectWebcams() {
-    console.log("Step 1: Detecting Windows camera devices...\n");
+    console.log("Step 1: Detecting camera devices...\n");
     
-    const windowsDevices = await getWindowsCameraList();
+    let cameras = [];
+    try {
+        cameras = await cameraDiscovery.listCameras();
+    } catch (err) {
+        console.log(`Note: Device enumeration failed (${err.message}), using fallback method`);
+    }
     
-    if (windowsDevices.length > 0) {
-        console.log("Found Windows Camera Devices:");
-        windowsDevices.forEach((device, idx) => {
-            console.log(`  ${idx}: ${device.FriendlyName} (${device.Status})`);
+    if (cameras.length > 0) {
+        console.log("Found Camera Devices:");
+        cameras.forEach(camera => {
+            console.log(`  ${camera.index}: ${camera.name || "(unknown name)"} (device: ${camera.device})`);
         });
         console.log("");
     } else {
-        console.log("Could not enumerate Windows devices directly.");
+        console.log("Could not enumerate camera devices directly.");
         console.log("Will test camera indices manually...\n");
     }
 
-    console.log("Step 2: Testing camera indices (0-9)...\n");
-    console.log("This may take a moment...\n");
-
     const results = [];
-    const MAX_CAMERAS = 10; // Test indices 0-9
-
-    for (let i = 0; i < MAX_CAMERAS; i++) {
-        const result = await testWebcam(i);
-        results.push(result);
+    
+    if (cameras.length > 0) {
+        console.log("Step 2: Testing each camera...\n");
+        for (let camera of cameras) {
+            const result = await testWebcam(camera.index, camera.device);
+            results.push({ ...result, name: camera.name });
+            
+            // Add small delay between attempts
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+    } else {
+        console.log("Step 2: Testing camera indices (0-9)...\n");
+        console.log("This may take a moment...\n");
         
-        // Add small delay between attempts
-        await new Promise(resolve => setTimeout(resolve, 500));
+        const MAX_CAMERAS = 10; // Test indices 0-9
+        for (let i = 0; i < MAX_CAMERAS; i++) {
+            const result = await testWebcam(i, i === 0 ? false : i); // false for default camera
+            results.push({ ...result, name: null });
+            
+            // Add small delay between attempts
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
     }
 
     console.log("\n" + "=".repeat(60));
@@ -157,17 +157,14 @@ async function detectWebcams() {
     } else {
         console.log(`✓ Found ${availableCameras.length} working camera(s):\n`);
         
-        availableCameras.forEach((camera, idx) => {
+        availableCameras.forEach(camera => {
             console.log(`Camera ${camera.index}:`);
             console.log(`  Status: Available ✓`);
             console.log(`  Test Image: ${camera.filename}`);
             console.log(`  File Size: ${camera.fileSize} KB`);
-            
-            // Try to match with Windows device
-            if (windowsDevices[idx]) {
-                console.log(`  Device Name: ${windowsDevices[idx].FriendlyName}`);
+            if (camera.name) {
+                console.log(`  Device Name: ${camera.name}`);
             }
-            
             console.log("");
         });
 
@@ -175,15 +172,14 @@ async function detectWebcams() {
         console.log("CONFIGURATION");
         console.log("=".repeat(60));
         console.log("");
-        console.log("To use a specific camera in your plugin, set:");
+        console.log("To use a specific camera, set in VisionPlugin/config.json:");
         console.log("");
-        console.log("const webcamOpts = {");
-        console.log("    ...");
         availableCameras.forEach(camera => {
-            console.log(`    device: ${camera.index},  // Use this for Camera ${camera.index}`);
+            console.log(`  Camera ${camera.index}:`);
+            console.log(`    "webcam": { ${camera.name ? `"camera_name": ${JSON.stringify(camera.name)}, ` : ""}"device": ${JSON.stringify(camera.device)} }`);
         });
-        console.log("    ...");
-        console.log("};");
+        console.log("");
+        console.log("camera_name keeps working when device numbers change, device is the fallback.");
         console.log("");
         
         if (availableCameras.length > 1) {